@@ -1,121 +1,31 @@
-import { IncomingForm } from 'formidable';
-import fs from 'fs';
-
-export const config = {
-  api: {
-    bodyParser: false,
-  },
-};
+import { analyzeCADParts, validateFile } from '../../src/utils/cadAnalyzer';
+import { parseUpload, unitsField, withoutMeshData } from './upload';
 
+// POST multipart { file, units? } → geometry analysis of every body in the file, done on this server
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const form = new IncomingForm();
-  
-  form.parse(req, async (err, fields, files) => {
-    if (err) {
-      return res.status(500).json({ error: 'File upload failed' });
-    }
-
-    try {
-      const file = files.file[0];
-      const fileBuffer = fs.readFileSync(file.filepath);
-      
-      // Use a working 3D conversion API
-      const analysis = await analyzeWith3DConverter(fileBuffer, file.originalFilename);
-      
-      res.json({
-        success: true,
-        ...analysis,
-        accuracy: 'high',
-        source: '3d-converter-api'
-      });
-
-    } catch (error) {
-      console.error('3D analysis error:', error);
-      
-      // Fallback to local estimation
-      const estimated = estimateFromFile(fileBuffer, file.originalFilename);
-      res.json({
-        success: true,
-        ...estimated,
-        accuracy: 'estimated',
-        source: 'fallback-estimation',
-        note: 'Using estimation - API unavailable'
-      });
-    }
-  });
-}
-
-// Use Online 3D Converter API (actually works)
-const analyzeWith3DConverter = async (fileBuffer, filename) => {
-  const formData = new FormData();
-  const blob = new Blob([fileBuffer], { type: 'application/octet-stream' });
-  formData.append('file', blob, filename);
-  
-  // This API actually exists and works
-  const response = await fetch('https://api.products.aspose.app/3d/parser/parse', {
-    method: 'POST',
-    body: formData
-  });
-
-  if (!response.ok) {
-    throw new Error(`3D API failed: ${response.statusText}`);
-  }
-
-  const data = await response.json();
-  
-  // Extract dimensions from response or use estimation
-  return extract3DProperties(data, fileBuffer, filename);
-};
-
-const extract3DProperties = (apiData, fileBuffer, filename) => {
-  // If API returns actual properties, use them
-  if (apiData.volume && apiData.boundingBox) {
-    return {
-      volume: apiData.volume,
-      dimensions: apiData.boundingBox
-    };
+  let upload;
+  let units;
+  try {
+    upload = await parseUpload(req);
+    validateFile(upload.file);
+    units = unitsField(upload.fields);
+  } catch (error) {
+    return res.status(error.status || error.httpCode || 400).json({ error: error.message });
   }
-  
-  // Otherwise use enhanced estimation
-  return estimateFromFile(fileBuffer, filename);
-};
 
-const estimateFromFile = (buffer, filename) => {
-  const fileSize = buffer.length;
-  const isSTEP = filename.toLowerCase().includes('.stp') || filename.toLowerCase().includes('.step');
-  
-  // Better estimation based on file characteristics
-  let scale, baseVolume, baseLength, baseWidth, baseHeight;
-  
-  if (isSTEP) {
-    // STEP files - different scaling
-    scale = Math.cbrt(fileSize / 50000); // Adjusted for STEP
-    baseVolume = 50;
-    baseLength = 120;
-    baseWidth = 90;
-    baseHeight = 60;
-  } else {
-    // STL files
-    scale = Math.cbrt(fileSize / 100000);
-    baseVolume = 30;
-    baseLength = 100;
-    baseWidth = 80;
-    baseHeight = 50;
+  try {
+    const parts = await analyzeCADParts(upload.file, { units });
+    res.json({
+      success: true,
+      fileName: upload.file.name,
+      parts: withoutMeshData(parts)
+    });
+  } catch (error) {
+    console.error('3D analysis error:', error);
+    res.status(422).json({ error: error.message });
   }
-  
-  const volume = Math.max(1, baseVolume * scale);
-  const dimensions = {
-    length: Math.max(10, baseLength * scale),
-    width: Math.max(8, baseWidth * scale),
-    height: Math.max(5, baseHeight * scale)
-  };
-  
-  return {
-    volume,
-    dimensions
-  };
-};
+}
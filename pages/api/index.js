@@ -0,0 +1,8 @@
+// API routes served by server.js, by URL path
+import forgeAnalyze from './forge-analyze';
+import quote from './quote';
+
+export const routes = {
+  '/api/forge-analyze': forgeAnalyze,
+  '/api/quote': quote
+};
@@ -0,0 +1,160 @@
+import fs from 'fs';
+import { analyzeCADParts, validateFile } from '../../src/utils/cadAnalyzer';
+import { DEFAULT_MATERIALS } from '../../src/utils/materialsLibrary';
+import { DEFAULT_PRESSES } from '../../src/utils/pressCatalog';
+import { DEFAULT_OPERATIONS } from '../../src/utils/secondaryOperations';
+import { DEFAULT_SURFACE_SPECS } from '../../src/utils/surfaceSpecs';
+import { DEFAULT_SHOP_SETTINGS, suggestComplexity, partDataFromAnalysis, computeQuote } from '../../src/utils/quoteEngine';
+import { parseUpload, unitsField, badRequest, withoutMeshData } from './upload';
+
+// Resin by library id, full name or the abbreviation in brackets ("ABS", "PP")
+const findResin = (materials, value) => {
+  const key = String(value).trim().toLowerCase();
+  return materials.find(resin => String(resin.id) === key
+    || resin.name.toLowerCase() === key
+    || resin.name.toLowerCase().includes(`(${key})`));
+};
+
+// Shop settings and catalogs exported from the app ("Export for API Server", Export JSON for materials), so the API
+// prices with the same resins, presses, operations and specs as the estimator; a missing file means the
+// built-in defaults. Read per request so a new export applies at once
+const DATA_FILES = {
+  settings: { file: process.env.SHOP_SETTINGS_FILE || 'shop-settings.json', fallback: DEFAULT_SHOP_SETTINGS },
+  materials: { file: process.env.MATERIALS_FILE || 'materials.json', fallback: DEFAULT_MATERIALS },
+  presses: { file: process.env.PRESSES_FILE || 'presses.json', fallback: DEFAULT_PRESSES },
+  operations: { file: process.env.OPERATIONS_FILE || 'secondary-operations.json', fallback: DEFAULT_OPERATIONS },
+  surfaceSpecs: { file: process.env.SURFACE_SPECS_FILE || 'surface-specs.json', fallback: DEFAULT_SURFACE_SPECS }
+};
+
+const loadDataFile = async ({ file, fallback }) => {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw new Error(`Could not read ${file}: ${error.message}`);
+  }
+};
+
+const loadShopData = async () => Object.fromEntries(await Promise.all(Object.entries(DATA_FILES)
+  .map(async ([key, source]) => [key, await loadDataFile(source)])));
+
+const positiveIntegerField = (fields, name, fallback) => {
+  const value = fields[name] === undefined || fields[name] === '' ? fallback : Number(fields[name]);
+  if (!Number.isInteger(value) || value < 1) {
+    throw badRequest(`${name} must be a whole number of at least 1`);
+  }
+  return value;
+};
+
+// operations: JSON list of catalog ids, or { id, count } when done more than once per part
+const operationsField = (fields) => {
+  if (!fields.operations) return [];
+  let value;
+  try {
+    value = JSON.parse(fields.operations);
+  } catch (error) {
+    throw badRequest('operations must be JSON, e.g. [1, {"id": 3, "count": 2}]');
+  }
+  if (!Array.isArray(value)) {
+    throw badRequest('operations must be a JSON array');
+  }
+  return value.map(entry => (typeof entry === 'object' && entry !== null
+    ? { id: entry.id, count: entry.count ?? 1 }
+    : { id: entry, count: 1 }));
+};
+
+const readQuoteInputs = (fields, materials) => {
+  if (!fields.resin) {
+    throw badRequest('resin is required (library id, name or abbreviation)');
+  }
+  const resin = findResin(materials, fields.resin);
+  if (!resin) {
+    throw badRequest(`Unknown resin "${fields.resin}". Available: ${materials.map(m => m.name).join(', ')}`);
+  }
+  if (fields.quantity === undefined) {
+    throw badRequest('quantity is required');
+  }
+  const orderQuantity = positiveIntegerField(fields, 'quantity');
+
+  return {
+    selectedResin: resin.id,
+    selectedColor: fields.color || 'natural',
+    cavities: positiveIntegerField(fields, 'cavities', 1),
+    orderQuantity,
+    runSize: positiveIntegerField(fields, 'runSize', orderQuantity),
+    runnerSystem: fields.runnerSystem || 'cold',
+    allowRegrind: fields.allowRegrind !== 'false',
+    steelGrade: fields.steelGrade || 'p20',
+    complexity: fields.complexity || null,
+    selectedOperations: operationsField(fields),
+    surfaceFinish: fields.finish || 'none',
+    texture: fields.texture || 'none',
+    tolerance: fields.tolerance || 'standard'
+  };
+};
+
+// POST multipart { file, resin, quantity, color?, cavities?, runSize?, runnerSystem?, allowRegrind?,
+// steelGrade?, complexity?, operations?, finish?, texture?, tolerance?, units? } → the part analysis and the same quote
+// the app shows, provided the app's settings and catalogs have been exported next to the server (see DATA_FILES)
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let shopData;
+  try {
+    shopData = await loadShopData();
+  } catch (error) {
+    console.error('Shop data error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+
+  let upload;
+  let inputs;
+  let units;
+  try {
+    upload = await parseUpload(req);
+    validateFile(upload.file);
+    units = unitsField(upload.fields);
+    inputs = readQuoteInputs(upload.fields, shopData.materials);
+  } catch (error) {
+    return res.status(error.status || error.httpCode || 400).json({ error: error.message });
+  }
+
+  let parts;
+  try {
+    parts = await analyzeCADParts(upload.file, { units });
+  } catch (error) {
+    console.error('3D analysis error:', error);
+    return res.status(422).json({ error: error.message });
+  }
+
+  // Assemblies are quoted part by part; the ERP should send each body on its own
+  if (parts.length > 1) {
+    return res.status(422).json({
+      error: `${upload.file.name} contains ${parts.length} bodies; send one part per quote`,
+      bodies: parts.map(part => part.fileName)
+    });
+  }
+
+  const [analysis] = parts;
+  const quoteInputs = { ...inputs, complexity: inputs.complexity || suggestComplexity(analysis) };
+  let quote;
+  try {
+    quote = computeQuote({
+      ...quoteInputs,
+      ...shopData,
+      partData: partDataFromAnalysis(analysis)
+    });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  res.status(quote.pressError ? 422 : 200).json({
+    success: !quote.pressError,
+    fileName: upload.file.name,
+    inputs: quoteInputs,
+    analysis: withoutMeshData(analysis),
+    quote: withoutMeshData(quote)
+  });
+}
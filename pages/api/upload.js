@@ -0,0 +1,44 @@
+import { IncomingForm } from 'formidable';
+import fs from 'fs';
+import { LENGTH_UNITS } from '../../src/utils/units';
+
+// Same limit as the upload area in the app
+const MAX_FILE_SIZE = 100 * 1024 * 1024;
+
+// Multipart body → the first value of each field and the uploaded `file` as a File the analyzer can read
+export const parseUpload = async (req) => {
+  const form = new IncomingForm({ maxFileSize: MAX_FILE_SIZE });
+  const [fields, files] = await form.parse(req);
+  const upload = files.file && files.file[0];
+
+  if (!upload) {
+    throw badRequest('Send the CAD file as multipart form field "file"');
+  }
+
+  const buffer = await fs.promises.readFile(upload.filepath);
+  await fs.promises.unlink(upload.filepath).catch(() => {});
+
+  return {
+    fields: Object.fromEntries(Object.entries(fields).map(([key, values]) => [key, values[0]])),
+    file: new File([buffer], upload.originalFilename || 'upload.stl')
+  };
+};
+
+export const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Optional `units` field: the unit the file was drawn in, overriding what the analyzer detects
+export const unitsField = (fields) => {
+  if (!fields.units) return undefined;
+  if (!LENGTH_UNITS.some(unit => unit.id === fields.units)) {
+    throw badRequest(`Unknown units "${fields.units}". Use one of: ${LENGTH_UNITS.map(unit => unit.id).join(', ')}`);
+  }
+  return fields.units;
+};
+
+// Drops the per-triangle buffers the viewer colours the mesh with; they are large and useless as JSON
+export const withoutMeshData = (value) => JSON.parse(JSON.stringify(value, (key, child) =>
+  (ArrayBuffer.isView(child) ? undefined : child)));
@@ -0,0 +1,80 @@
+// Local server: the app plus the /api routes in pages/api, which analyse and quote uploads on this machine.
+// `npm run dev` runs Vite in middleware mode; `npm start` serves the production build from dist/.
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = path.dirname(fileURLToPath(import.meta.url));
+const dist = path.join(root, 'dist');
+const isProduction = process.env.NODE_ENV === 'production';
+const port = Number(process.env.PORT) || 5173;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript',
+  '.css': 'text/css',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.wasm': 'application/wasm',
+  '.json': 'application/json'
+};
+
+// The handlers are written against Next.js-style res.status().json()
+const withResponseHelpers = (res) => {
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+    return res;
+  };
+  return res;
+};
+
+// Built assets by path, anything else falls back to the single-page app
+const serveStatic = (req, res) => {
+  const pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  let file = path.join(dist, pathname);
+  if (!file.startsWith(dist + path.sep) || !fs.existsSync(file) || fs.statSync(file).isDirectory()) {
+    file = path.join(dist, 'index.html');
+  }
+  res.setHeader('Content-Type', CONTENT_TYPES[path.extname(file)] || 'application/octet-stream');
+  fs.createReadStream(file).pipe(res);
+};
+
+const createApp = async () => {
+  if (isProduction) {
+    const { routes } = await import('./dist/server/index.js');
+    return { loadRoutes: async () => routes, fallback: serveStatic };
+  }
+
+  const { createServer } = await import('vite');
+  const vite = await createServer({ root, server: { middlewareMode: true }, appType: 'spa' });
+  return {
+    // Loaded through Vite on each request, so edits to the handlers or the engine apply without a restart
+    loadRoutes: async () => (await vite.ssrLoadModule('/pages/api/index.js')).routes,
+    fallback: (req, res) => vite.middlewares(req, res)
+  };
+};
+
+const app = await createApp();
+
+http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  if (!pathname.startsWith('/api/')) return app.fallback(req, res);
+
+  withResponseHelpers(res);
+  try {
+    const handler = (await app.loadRoutes())[pathname];
+    if (!handler) return res.status(404).json({ error: `No API route ${pathname}` });
+    await handler(req, res);
+  } catch (error) {
+    console.error(`API error on ${pathname}:`, error);
+    if (!res.headersSent) res.status(500).json({ error: error.message });
+  }
+}).listen(port, () => {
+  console.log(`Injection molding quoter on http://localhost:${port}${isProduction ? '' : ' (development)'}`);
+});
@@ -1,50 +1,56 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useMemo, useEffect, useRef } from 'react';
 import CADAnalyzer from './components/CADAnalyzer';
+import WallThicknessReport from './components/WallThicknessReport';
+import DraftReport from './components/DraftReport';
+import MeshHealthReport from './components/MeshHealthReport';
+import PartViewerPanel from './components/PartViewerPanel';
+import QuantityBreaks from './components/QuantityBreaks';
+import MaterialsLibrary from './components/MaterialsLibrary';
+import PressCatalog from './components/PressCatalog';
+import PressSelectionReport from './components/PressSelectionReport';
+import SavedQuotes from './components/SavedQuotes';
+import QuotePdfExport from './components/QuotePdfExport';
+import ProjectQuote from './components/ProjectQuote';
+import CavityLayout from './components/CavityLayout';
+import ShopSettings from './components/ShopSettings';
+import SecondaryOperations from './components/SecondaryOperations';
+import SurfaceSpecs from './components/SurfaceSpecs';
+import { validateFile } from './utils/cadAnalyzer';
+import { analyzeInWorker } from './utils/analysisWorker';
+import { loadMaterials, saveMaterials } from './utils/materialsLibrary';
+import { loadPresses, savePresses } from './utils/pressCatalog';
+import { RUNNER_SYSTEMS } from './utils/runnerSystem';
+import { MOLDABILITY_RULES } from './utils/moldability';
+import { DISPLAY_SYSTEMS, createUnitFormatter, loadDisplaySystem, saveDisplaySystem } from './utils/units';
+import { COLOR_OPTIONS, STEEL_GRADES, COMPLEXITY_LEVELS, DEFAULT_SHOP_SETTINGS, suggestComplexity, partDataFromAnalysis, computeQuote } from './utils/quoteEngine';
+import { loadShopSettings, saveShopSettings, settingsLabel } from './utils/shopSettings';
+import { loadOperations, saveOperations } from './utils/secondaryOperations';
+import { SURFACE_SPEC_KINDS, loadSurfaceSpecs, saveSurfaceSpecs, selectSurfaceSpecs } from './utils/surfaceSpecs';
 
-// Database and Rules based on industry research
-const RESINS = [
-  { 
-    id: 1, 
-    name: 'Polypropylene (PP)', 
-    density: 0.905, 
-    costPerKg: 1.80,
-    description: 'Excellent chemical resistance, low cost'
-  },
-  { 
-    id: 2, 
-    name: 'ABS', 
-    density: 1.04, 
-    costPerKg: 2.40,
-    description: 'Good impact strength, great surface finish'
-  },
-  { 
-    id: 3, 
-    name: 'Polycarbonate (PC)', 
-    density: 1.20, 
-    costPerKg: 4.20,
-    description: 'High strength, transparent, heat resistant'
+const CAVITY_OPTIONS = [1, 2, 4, 8];
+// { surfaceFinish: 'none', texture: 'none', tolerance: 'standard' }
+const DEFAULT_SURFACE_SELECTION = Object.fromEntries(SURFACE_SPEC_KINDS.map(kind => [kind.input, kind.fallback]));
+const MAX_CAVITIES = 64;
+
+// "1k, 10000, 2.5k" → [1000, 2500, 10000]
+const parseQuantityBreaks = (text) => [...new Set(text
+  .split(/[,;\s]+/)
+  .map(entry => {
+    const match = entry.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)(k|m)?$/);
+    if (!match) return NaN;
+    const scale = match[2] === 'm' ? 1000000 : match[2] === 'k' ? 1000 : 1;
+    return Math.round(parseFloat(match[1]) * scale);
+  })
+  .filter(quantity => quantity > 0))]
+  .sort((a, b) => a - b);
+
+// Tables re-price the same inputs many times; invalid inputs are reported once, by the main quote
+const quoteOrNull = (inputs) => {
+  try {
+    return computeQuote(inputs);
+  } catch (error) {
+    return null;
   }
-];
-
-const COLOR_OPTIONS = [
-  { id: 'natural', name: 'Natural (No additional cost)', premium: 0.00 },
-  { id: 'black', name: 'Black (+5% material cost)', premium: 0.05 },
-  { id: 'red', name: 'Red (+10% material cost)', premium: 0.10 }
-];
-
-const MACHINES = [
-  { id: 1, name: 'Small Press (50T)', clampForce: 50, hourlyRate: 65, maxMoldWidth: 300, maxMoldHeight: 300 },
-  { id: 2, name: 'Medium Press (150T)', clampForce: 150, hourlyRate: 85, maxMoldWidth: 450, maxMoldHeight: 450 },
-  { id: 3, name: 'Large Press (300T)', clampForce: 300, hourlyRate: 120, maxMoldWidth: 600, maxMoldHeight: 600 }
-];
-
-const RULES = {
-  moldBaseMultiplier: 2.5,
-  cycleTimeBase: 25,
-  cycleTimePerMM: 1.5,
-  scrapRate: 0.05,
-  minCycleTime: 15,
-  cavitySpacing: 1.5
 };
 
 function App() {
@@ -53,69 +59,154 @@ function App() {
     length: 100,
     width: 80,
     height: 60,
-    wallThickness: 2.5
+    wallThickness: 2.5,
+    projectedArea: 48,
+    sideActions: 0,
+    lifters: 0
   });
   
+  const [materials, setMaterials] = useState(loadMaterials);
+  const [showMaterials, setShowMaterials] = useState(false);
+  const [presses, setPresses] = useState(loadPresses);
+  const [shopSettings, setShopSettings] = useState(loadShopSettings);
+  const [showSettings, setShowSettings] = useState(false);
+  const [operations, setOperations] = useState(loadOperations);
+  const [selectedOperations, setSelectedOperations] = useState([]);
+  const [showPresses, setShowPresses] = useState(false);
   const [selectedResin, setSelectedResin] = useState(1);
   const [selectedColor, setSelectedColor] = useState('natural');
+  const [surfaceSpecs, setSurfaceSpecs] = useState(loadSurfaceSpecs);
+  const [surfaceSelection, setSurfaceSelection] = useState(DEFAULT_SURFACE_SELECTION);
+  const [showSurfaceSpecs, setShowSurfaceSpecs] = useState(false);
   const [cavities, setCavities] = useState(1);
+  const [runnerSystem, setRunnerSystem] = useState('cold');
+  const [allowRegrind, setAllowRegrind] = useState(true);
+  const [steelGrade, setSteelGrade] = useState('p20');
+  const [complexity, setComplexity] = useState('simple');
+  const [orderQuantity, setOrderQuantity] = useState(10000);
+  const [runSize, setRunSize] = useState(10000);
+  const [quantityBreaks, setQuantityBreaks] = useState('1000, 10000, 100000');
   const [analysisError, setAnalysisError] = useState(null);
+  const [analysis, setAnalysis] = useState(null);
+  const [quoteReference, setQuoteReference] = useState({ customer: '', partNumber: '' });
+  const [projectParts, setProjectParts] = useState([]);
+  const [familyCounts, setFamilyCounts] = useState({});
+  const [displaySystem, setDisplaySystem] = useState(loadDisplaySystem);
+  const units = useMemo(() => createUnitFormatter(displaySystem), [displaySystem]);
+  const formatDisplayLength = useCallback((value) => units.format('length', value, 1), [units]);
+
+  // Analysed project parts cut into the same mold as the quoted part
+  const familyParts = useMemo(() => projectParts
+    .filter(part => part.status === 'done' && familyCounts[part.id] > 0)
+    .map(part => ({ name: part.fileName, partData: partDataFromAnalysis(part.analysis), count: familyCounts[part.id] })),
+  [projectParts, familyCounts]);
+
+  const calculateQuote = useCallback(() => computeQuote({
+    partData, familyParts, materials, presses, selectedResin, selectedColor, cavities, runnerSystem, allowRegrind, steelGrade, complexity, orderQuantity, runSize,
+    settings: shopSettings, operations, selectedOperations, surfaceSpecs, ...surfaceSelection
+  }), [partData, familyParts, materials, presses, selectedResin, selectedColor, cavities, runnerSystem, allowRegrind, steelGrade, complexity, orderQuantity, runSize, shopSettings, operations, selectedOperations, surfaceSpecs, surfaceSelection]);
+
+  // Same inputs re-priced at another volume and cavity count
+  const priceAt = useCallback((quantity, cavityCount) => quoteOrNull({
+    partData, familyParts, materials, presses, selectedResin, selectedColor, runnerSystem, allowRegrind, steelGrade, complexity, runSize,
+    settings: shopSettings, operations, selectedOperations, surfaceSpecs, ...surfaceSelection,
+    cavities: cavityCount,
+    orderQuantity: quantity
+  }), [partData, familyParts, materials, presses, selectedResin, selectedColor, runnerSystem, allowRegrind, steelGrade, complexity, runSize, shopSettings, operations, selectedOperations, surfaceSpecs, surfaceSelection]);
+
+  const handleMaterialsChange = useCallback((updated) => {
+    setMaterials(updated);
+    saveMaterials(updated);
+    setSelectedResin(prev => (updated.some(m => m.id === prev) ? prev : updated[0].id));
+    setProjectParts(prev => prev.map(part => (updated.some(m => m.id === part.resin) ? part : { ...part, resin: updated[0].id })));
+  }, []);
+
+  const handlePressesChange = useCallback((updated) => {
+    setPresses(updated);
+    savePresses(updated);
+  }, []);
+
+  // Selections of deleted operations are dropped with them
+  const handleOperationsChange = useCallback((updated) => {
+    setOperations(updated);
+    saveOperations(updated);
+    setSelectedOperations(prev => prev.filter(s => updated.some(o => o.id === s.id)));
+  }, []);
+
+  const handleSurfaceSpecsSave = useCallback((updated) => {
+    setSurfaceSpecs(updated);
+    saveSurfaceSpecs(updated);
+  }, []);
+
+  // Every save is a new settings version; quotes record the version they were priced with
+  const handleSettingsSave = useCallback((values) => {
+    setShopSettings(saveShopSettings(values));
+  }, []);
 
-  const calculateQuote = useCallback(() => {
-    const resin = RESINS.find(r => r.id === selectedResin);
-    const color = COLOR_OPTIONS.find(c => c.id === selectedColor);
-    
-    if (!resin || !color) return null;
-
-    // Material Calculations
-    const materialWeight = partData.volume * resin.density;
-    const rawMaterialCost = materialWeight * resin.costPerKg / 1000;
-    const colorCost = rawMaterialCost * color.premium;
-    const totalMaterialCost = rawMaterialCost + colorCost;
-
-    // Mold Size Estimation
-    const moldWidth = partData.width * RULES.moldBaseMultiplier * (cavities > 1 ? RULES.cavitySpacing : 1);
-    const moldHeight = partData.height * RULES.moldBaseMultiplier;
-
-    // Machine Selection
-    const suitableMachine = MACHINES
-      .filter(machine => machine.maxMoldWidth >= moldWidth && machine.maxMoldHeight >= moldHeight)
-      .sort((a, b) => a.clampForce - b.clampForce)[0] || MACHINES[MACHINES.length - 1];
-
-    // Cycle Time Estimation
-    const baseCycleTime = RULES.cycleTimeBase + (partData.wallThickness * RULES.cycleTimePerMM);
-    const cycleTime = Math.max(baseCycleTime, RULES.minCycleTime);
-    const partsPerHour = (3600 / cycleTime) * cavities;
-    const machineCostPerPart = suitableMachine.hourlyRate / partsPerHour;
-
-    // Final Cost Calculation
-    const costBeforeScrap = totalMaterialCost + machineCostPerPart;
-    const totalCostPerPart = costBeforeScrap * (1 + RULES.scrapRate);
-
-    return {
-      materialWeight,
-      rawMaterialCost,
-      colorCost,
-      totalMaterialCost,
-      moldSize: { width: moldWidth, height: moldHeight },
-      selectedMachine: suitableMachine,
-      cycleTime,
-      partsPerHour,
-      machineCostPerPart,
-      totalCostPerPart,
-      selectedResin: resin,
-      selectedColor: color
-    };
-  }, [partData, selectedResin, selectedColor, cavities]);
+  const handleDisplaySystemChange = useCallback((system) => {
+    setDisplaySystem(system);
+    saveDisplaySystem(system);
+  }, []);
+
+  const breakQuantities = useMemo(() => parseQuantityBreaks(quantityBreaks), [quantityBreaks]);
+
+  // Everything needed to reproduce the quote, as saved with each revision
+  const quoteInputs = useMemo(() => ({
+    partData,
+    selectedResin,
+    resinName: (materials.find(m => m.id === selectedResin) || {}).name,
+    selectedColor,
+    ...surfaceSelection,
+    cavities,
+    runnerSystem,
+    allowRegrind,
+    steelGrade,
+    complexity,
+    orderQuantity,
+    runSize,
+    quantityBreaks,
+    selectedOperations,
+    operationNames: selectedOperations
+      .map(({ id, count }) => `${(operations.find(o => o.id === id) || {}).name}${count > 1 ? ` ×${count}` : ''}`)
+      .join(', '),
+    // Operation and finish rates are kept outside the versioned shop settings, so the ones priced are saved too
+    operationRates: selectedOperations.map(({ id }) => operations.find(o => o.id === id)).filter(Boolean),
+    surfaceRates: selectSurfaceSpecs(surfaceSpecs, surfaceSelection),
+    settingsVersion: shopSettings.version
+  }), [partData, materials, selectedResin, selectedColor, cavities, runnerSystem, allowRegrind, steelGrade, complexity, orderQuantity, runSize, quantityBreaks, selectedOperations, operations, surfaceSpecs, surfaceSelection, shopSettings]);
+
+  // Customer price per quantity at the quoted cavity count; tooling is billed separately
+  const quantityRows = useMemo(() => breakQuantities
+    .map(quantity => ({ quantity, quote: priceAt(quantity, cavities) }))
+    .filter(({ quote }) => quote && !quote.pressError)
+    .map(({ quantity, quote }) => ({ quantity, unitPrice: quote.partPrice })),
+  [breakQuantities, priceAt, cavities]);
+
+  const handleOpenQuote = useCallback((record) => {
+    const { inputs } = record;
+    setPartData(inputs.partData);
+    setSelectedResin(materials.some(m => m.id === inputs.selectedResin) ? inputs.selectedResin : materials[0].id);
+    setSelectedColor(inputs.selectedColor);
+    // Quotes saved before finishes were quoted open with the shop standard
+    setSurfaceSelection(Object.fromEntries(SURFACE_SPEC_KINDS.map(kind => [kind.input,
+      surfaceSpecs[kind.id].some(spec => spec.id === inputs[kind.input]) ? inputs[kind.input] : kind.fallback])));
+    setCavities(inputs.cavities);
+    setRunnerSystem(inputs.runnerSystem || 'cold');
+    setAllowRegrind(inputs.allowRegrind !== false);
+    setSteelGrade(inputs.steelGrade);
+    setComplexity(inputs.complexity);
+    setOrderQuantity(inputs.orderQuantity);
+    setRunSize(inputs.runSize >= 1 ? inputs.runSize : Math.max(1, inputs.orderQuantity));
+    setQuantityBreaks(inputs.quantityBreaks);
+    setSelectedOperations((inputs.selectedOperations || []).filter(s => operations.some(o => o.id === s.id)));
+    setAnalysis(record.analysis || null);
+    setAnalysisError(null);
+  }, [materials, operations, surfaceSpecs]);
 
   const handleAnalysisComplete = useCallback((analysis) => {
-    setPartData({
-      volume: analysis.volume,
-      length: analysis.dimensions.length,
-      width: analysis.dimensions.width,
-      height: analysis.dimensions.height,
-      wallThickness: analysis.wallThickness
-    });
+    setPartData(partDataFromAnalysis(analysis));
+    setComplexity(suggestComplexity(analysis));
+    setAnalysis(analysis);
     setAnalysisError(null);
   }, []);
 
@@ -123,6 +214,120 @@ function App() {
     setAnalysisError(error);
   }, []);
 
+  // Project parts start with the main quote's resin and cavity count
+  const newProjectPart = useCallback((id, fields) => ({
+    id,
+    status: 'queued',
+    error: null,
+    analysis: null,
+    resin: selectedResin,
+    cavities,
+    perAssembly: 1,
+    ...fields
+  }), [selectedResin, cavities]);
+
+  const handleBatchUpload = useCallback((files) => {
+    const stamp = Date.now();
+    setProjectParts(prev => [...prev, ...files.map((file, index) => newProjectPart(`${stamp}-${index}`, {
+      file,
+      fileName: file.name
+    }))]);
+    setAnalysisError(null);
+  }, [newProjectPart]);
+
+  const handleAssemblyAnalyzed = useCallback((analyses) => {
+    const stamp = Date.now();
+    setProjectParts(prev => [...prev, ...analyses.map((partAnalysis, index) => newProjectPart(`${stamp}-${index}`, {
+      status: 'done',
+      fileName: partAnalysis.fileName,
+      analysis: partAnalysis
+    }))]);
+    setAnalysisError(null);
+  }, [newProjectPart]);
+
+  // The project file being analysed, so removing it or clearing the project can stop its worker
+  const queueAnalysisRef = useRef(null);
+
+  // Analyse queued project files one at a time; an assembly expands into one row per body
+  useEffect(() => {
+    if (projectParts.some(part => part.status === 'analyzing')) return;
+    const next = projectParts.find(part => part.status === 'queued');
+    if (!next) return;
+
+    setProjectParts(prev => prev.map(part => (part.id === next.id ? { ...part, status: 'analyzing', progress: 0 } : part)));
+    const controller = new AbortController();
+    queueAnalysisRef.current = { id: next.id, controller };
+
+    (async () => {
+      try {
+        validateFile(next.file);
+        const analyses = await analyzeInWorker(next.file, {
+          units: next.units,
+          signal: controller.signal,
+          onProgress: ({ fraction }) => setProjectParts(prev => prev.map(part => (part.id === next.id ? { ...part, progress: fraction } : part)))
+        });
+        setProjectParts(prev => prev.flatMap(part => (part.id !== next.id ? [part] : analyses.map((partAnalysis, index) => ({
+          ...part,
+          id: index === 0 ? part.id : `${part.id}-${index}`,
+          // Single-body files keep their file so the units can be overridden and re-analysed
+          file: analyses.length === 1 ? part.file : null,
+          fileName: partAnalysis.fileName,
+          status: 'done',
+          analysis: partAnalysis
+        })))));
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.error('CAD analysis error:', error);
+        setProjectParts(prev => prev.map(part => (part.id === next.id
+          ? { ...part, file: null, status: 'error', error: error.message }
+          : part)));
+      } finally {
+        if (queueAnalysisRef.current && queueAnalysisRef.current.controller === controller) queueAnalysisRef.current = null;
+      }
+    })();
+  }, [projectParts]);
+
+  const cancelQueueAnalysis = useCallback((id) => {
+    const current = queueAnalysisRef.current;
+    if (current && (id === undefined || current.id === id)) current.controller.abort();
+  }, []);
+
+  const handleProjectPartChange = useCallback((id, changes) => {
+    setProjectParts(prev => prev.map(part => (part.id === id ? { ...part, ...changes } : part)));
+  }, []);
+
+  const handleProjectPartRemove = useCallback((id) => {
+    cancelQueueAnalysis(id);
+    setProjectParts(prev => prev.filter(part => part.id !== id));
+  }, [cancelQueueAnalysis]);
+
+  // Same shop settings as the main quote, with the part's own geometry, resin, cavities and volume
+  const priceProjectPart = useCallback((part) => quoteOrNull({
+    partData: partDataFromAnalysis(part.analysis),
+    materials,
+    presses,
+    selectedResin: part.resin,
+    selectedColor,
+    cavities: part.cavities,
+    runnerSystem,
+    allowRegrind,
+    steelGrade,
+    complexity: suggestComplexity(part.analysis),
+    orderQuantity: orderQuantity * part.perAssembly,
+    runSize,
+    settings: shopSettings,
+    operations,
+    selectedOperations,
+    surfaceSpecs,
+    ...surfaceSelection
+  }), [materials, presses, selectedColor, runnerSystem, allowRegrind, steelGrade, orderQuantity, runSize, shopSettings, operations, selectedOperations, surfaceSpecs, surfaceSelection]);
+
+  const handleOpenProjectPart = useCallback((part) => {
+    handleAnalysisComplete(part.analysis);
+    setSelectedResin(part.resin);
+    setCavities(part.cavities);
+  }, [handleAnalysisComplete]);
+
   const handlePartDataChange = (field, value) => {
     setPartData(prev => ({
       ...prev,
@@ -130,21 +335,48 @@ function App() {
     }));
   };
 
-  const results = calculateQuote();
+  // Slides and lifters come in whole numbers
+  const handleActionCountChange = (field, value) => {
+    setPartData(prev => ({
+      ...prev,
+      [field]: Math.max(0, parseInt(value) || 0)
+    }));
+  };
 
-  if (!results) {
-    return React.createElement('div', { className: 'container' }, 'Loading...');
+  let results = null;
+  let quoteError = null;
+  try {
+    results = calculateQuote();
+  } catch (error) {
+    quoteError = error.message;
   }
+  const currentResin = materials.find(resin => resin.id === selectedResin);
+  const shopRules = { ...DEFAULT_SHOP_SETTINGS.values, ...shopSettings.values };
 
   return React.createElement('div', { className: 'container' },
     // LEFT SIDE - INPUTS
     React.createElement('div', { className: 'card' },
       React.createElement('h2', null, 'Part Information'),
+
+      // Display units only; everything is stored and priced in mm, cm³ and g
+      React.createElement('div', { className: 'viewer-toolbar' },
+        Object.entries(DISPLAY_SYSTEMS).map(([id, system]) => React.createElement('button', {
+          key: id,
+          type: 'button',
+          className: `toggle-button${displaySystem === id ? ' active' : ''}`,
+          onClick: () => handleDisplaySystemChange(id)
+        }, system.name))
+      ),
       
       React.createElement(CADAnalyzer, {
+        activeFileName: analysis && analysis.fileName,
         onAnalysisComplete: handleAnalysisComplete,
+        onAssemblyAnalyzed: handleAssemblyAnalyzed,
+        onBatchUpload: handleBatchUpload,
         onError: handleAnalysisError
       }),
+
+      React.createElement(PartViewerPanel, { analysis, formatLength: formatDisplayLength }),
       
       analysisError && React.createElement('div', { 
         style: { 
@@ -158,75 +390,120 @@ function App() {
       }, `Analysis Error: ${analysisError}`),
 
       React.createElement('div', { className: 'form-group' },
-        React.createElement('label', null, 'Part Volume (cm³)'),
+        React.createElement('label', null, `Part Volume (${units.unit('volume')})`),
         React.createElement('input', {
           type: 'number',
-          value: partData.volume,
-          onChange: (e) => handlePartDataChange('volume', e.target.value),
-          step: '0.1',
+          value: units.toDisplay('volume', partData.volume, 2),
+          onChange: (e) => handlePartDataChange('volume', units.fromDisplay('volume', parseFloat(e.target.value) || 0)),
+          step: units.step('volume', 1),
           min: '0'
         })
       ),
 
       React.createElement('div', { className: 'dimensions-grid' },
         React.createElement('div', { className: 'form-group' },
-          React.createElement('label', null, 'Length (mm)'),
+          React.createElement('label', null, `Length (${units.unit('length')})`),
           React.createElement('input', {
             type: 'number',
-            value: partData.length,
-            onChange: (e) => handlePartDataChange('length', e.target.value),
-            step: '1',
+            value: units.toDisplay('length', partData.length, 1),
+            onChange: (e) => handlePartDataChange('length', units.fromDisplay('length', parseFloat(e.target.value) || 0)),
+            step: units.step('length', 1),
             min: '0'
           })
         ),
         React.createElement('div', { className: 'form-group' },
-          React.createElement('label', null, 'Width (mm)'),
+          React.createElement('label', null, `Width (${units.unit('length')})`),
           React.createElement('input', {
             type: 'number',
-            value: partData.width,
-            onChange: (e) => handlePartDataChange('width', e.target.value),
-            step: '1',
+            value: units.toDisplay('length', partData.width, 1),
+            onChange: (e) => handlePartDataChange('width', units.fromDisplay('length', parseFloat(e.target.value) || 0)),
+            step: units.step('length', 1),
             min: '0'
           })
         ),
         React.createElement('div', { className: 'form-group' },
-          React.createElement('label', null, 'Height (mm)'),
+          React.createElement('label', null, `Height (${units.unit('length')})`),
           React.createElement('input', {
             type: 'number',
-            value: partData.height,
-            onChange: (e) => handlePartDataChange('height', e.target.value),
-            step: '1',
+            value: units.toDisplay('length', partData.height, 1),
+            onChange: (e) => handlePartDataChange('height', units.fromDisplay('length', parseFloat(e.target.value) || 0)),
+            step: units.step('length', 1),
             min: '0'
           })
         )
       ),
 
       React.createElement('div', { className: 'form-group' },
-        React.createElement('label', null, 'Wall Thickness (mm)'),
+        React.createElement('label', null, `Wall Thickness (${units.unit('length')})`),
         React.createElement('input', {
           type: 'number',
-          value: partData.wallThickness,
-          onChange: (e) => handlePartDataChange('wallThickness', e.target.value),
-          step: '0.1',
+          value: units.toDisplay('length', partData.wallThickness, 2),
+          onChange: (e) => handlePartDataChange('wallThickness', units.fromDisplay('length', parseFloat(e.target.value) || 0)),
+          step: units.step('length', 1),
           min: '0.1'
         })
       ),
 
+      React.createElement('div', { className: 'form-group' },
+        React.createElement('label', null, `Projected Area (${units.unit('area')})`),
+        React.createElement('input', {
+          type: 'number',
+          value: units.toDisplay('area', partData.projectedArea, 2),
+          onChange: (e) => handlePartDataChange('projectedArea', units.fromDisplay('area', parseFloat(e.target.value) || 0)),
+          step: units.step('area', 1),
+          min: '0'
+        })
+      ),
+
+      React.createElement('div', { className: 'dimensions-grid', style: { gridTemplateColumns: '1fr 1fr' } },
+        React.createElement('div', { className: 'form-group' },
+          React.createElement('label', null, 'Side Actions'),
+          React.createElement('input', {
+            type: 'number',
+            value: partData.sideActions,
+            onChange: (e) => handleActionCountChange('sideActions', e.target.value),
+            step: '1',
+            min: '0'
+          })
+        ),
+        React.createElement('div', { className: 'form-group' },
+          React.createElement('label', null, 'Lifters'),
+          React.createElement('input', {
+            type: 'number',
+            value: partData.lifters,
+            onChange: (e) => handleActionCountChange('lifters', e.target.value),
+            step: '1',
+            min: '0'
+          })
+        )
+      ),
+
       React.createElement('div', { className: 'form-group' },
         React.createElement('label', null, 'Resin Material'),
         React.createElement('select', { 
           value: selectedResin, 
           onChange: (e) => setSelectedResin(parseInt(e.target.value))
         },
-          RESINS.map(resin => 
+          materials.map(resin => 
             React.createElement('option', { key: resin.id, value: resin.id },
-              `${resin.name} - $${resin.costPerKg}/kg`
+              `${resin.name} - $${resin.costPerKg.toFixed(2)}/kg`
             )
           )
         ),
         React.createElement('p', { style: { fontSize: '0.8rem', color: '#94a3b8', marginTop: '0.5rem' } },
-          results.selectedResin.description
-        )
+          `${currentResin.description} · ${currentResin.shrinkage}% shrink · ${currentResin.regrindAllowance}% regrind allowed`
+        ),
+        React.createElement('button', {
+          type: 'button',
+          className: 'toggle-button',
+          style: { marginTop: '0.5rem' },
+          onClick: () => setShowMaterials(prev => !prev)
+        }, showMaterials ? 'Hide Materials Library' : 'Manage Materials Library'),
+        showMaterials && React.createElement(MaterialsLibrary, {
+          materials,
+          onChange: handleMaterialsChange,
+          onClose: () => setShowMaterials(false)
+        })
       ),
 
       React.createElement('div', { className: 'form-group' },
@@ -243,31 +520,230 @@ function App() {
         )
       ),
 
+      React.createElement('div', { className: 'form-group' },
+        React.createElement('label', null, 'Finish, Texture & Tolerance'),
+        SURFACE_SPEC_KINDS.map(kind =>
+          React.createElement('select', {
+            key: kind.id,
+            value: surfaceSelection[kind.input],
+            onChange: (e) => setSurfaceSelection(prev => ({ ...prev, [kind.input]: e.target.value })),
+            title: kind.name,
+            style: { marginBottom: '0.5rem' }
+          },
+            surfaceSpecs[kind.id].map(spec =>
+              React.createElement('option', { key: spec.id, value: spec.id }, `${kind.name}: ${spec.name}`)
+            )
+          )
+        ),
+        React.createElement('button', {
+          type: 'button',
+          className: 'toggle-button',
+          onClick: () => setShowSurfaceSpecs(prev => !prev)
+        }, showSurfaceSpecs ? 'Hide Cost Effects' : 'Edit Cost Effects'),
+        showSurfaceSpecs && React.createElement(SurfaceSpecs, {
+          specs: surfaceSpecs,
+          onSave: handleSurfaceSpecsSave,
+          onClose: () => setShowSurfaceSpecs(false)
+        })
+      ),
+
       React.createElement('div', { className: 'form-group' },
         React.createElement('label', null, 'Number of Cavities'),
+        React.createElement('input', {
+          type: 'number',
+          value: cavities,
+          onChange: (e) => setCavities(Math.min(MAX_CAVITIES, Math.max(1, parseInt(e.target.value) || 1))),
+          step: '1',
+          min: '1',
+          max: String(MAX_CAVITIES)
+        })
+      ),
+
+      React.createElement('div', { className: 'form-group' },
+        React.createElement('label', null, 'Runner System'),
+        React.createElement('select', {
+          value: runnerSystem,
+          onChange: (e) => setRunnerSystem(e.target.value)
+        },
+          RUNNER_SYSTEMS.map(system =>
+            React.createElement('option', { key: system.id, value: system.id }, system.name)
+          )
+        ),
+        runnerSystem === 'cold' && React.createElement('label', { style: { display: 'flex', alignItems: 'center', gap: '0.5rem', marginTop: '0.5rem' } },
+          React.createElement('input', {
+            type: 'checkbox',
+            checked: allowRegrind,
+            onChange: (e) => setAllowRegrind(e.target.checked),
+            style: { width: 'auto' }
+          }),
+          `Regrind runners (up to ${currentResin.regrindAllowance}% of the shot)`
+        )
+      ),
+
+      projectParts.some(part => part.status === 'done') && React.createElement('div', { className: 'form-group' },
+        React.createElement('label', null, 'Family Mold (cavities of other project parts in the same tool)'),
+        projectParts.filter(part => part.status === 'done').map(part =>
+          React.createElement('div', { key: part.id, className: 'breakdown-item' },
+            React.createElement('span', { className: 'label' }, part.fileName),
+            React.createElement('input', {
+              type: 'number',
+              value: familyCounts[part.id] || 0,
+              onChange: (e) => setFamilyCounts(prev => ({ ...prev, [part.id]: Math.max(0, parseInt(e.target.value) || 0) })),
+              step: '1',
+              min: '0',
+              style: { width: '5rem' }
+            })
+          )
+        )
+      ),
+
+      React.createElement('div', { className: 'form-group' },
+        React.createElement('label', null, 'Mold Steel'),
         React.createElement('select', { 
-          value: cavities, 
-          onChange: (e) => setCavities(parseInt(e.target.value))
+          value: steelGrade, 
+          onChange: (e) => setSteelGrade(e.target.value)
         },
-          React.createElement('option', { value: 1 }, '1 Cavity'),
-          React.createElement('option', { value: 2 }, '2 Cavities'),
-          React.createElement('option', { value: 4 }, '4 Cavities'),
-          React.createElement('option', { value: 8 }, '8 Cavities')
+          STEEL_GRADES.map(grade => 
+            React.createElement('option', { key: grade.id, value: grade.id },
+              `${grade.name} - ~${grade.toolLife.toLocaleString()} shots`
+            )
+          )
         )
+      ),
+
+      React.createElement('div', { className: 'form-group' },
+        React.createElement('label', null, 'Part Complexity'),
+        React.createElement('select', { 
+          value: complexity, 
+          onChange: (e) => setComplexity(e.target.value)
+        },
+          COMPLEXITY_LEVELS.map(level => 
+            React.createElement('option', { key: level.id, value: level.id },
+              `${level.name} (×${level.multiplier} cavity machining)`
+            )
+          )
+        )
+      ),
+
+      React.createElement('div', { className: 'form-group' },
+        React.createElement('label', null, 'Order Quantity (parts)'),
+        React.createElement('input', {
+          type: 'number',
+          value: orderQuantity,
+          onChange: (e) => setOrderQuantity(parseInt(e.target.value) || 0),
+          step: '1000',
+          min: '1'
+        })
+      ),
+
+      React.createElement('div', { className: 'form-group' },
+        React.createElement('label', null, `Run Size (parts per setup, $${shopRules.setupCost} per changeover)`),
+        React.createElement('input', {
+          type: 'number',
+          value: runSize,
+          // A cleared field keeps the last run size rather than pricing a setup per part
+          onChange: (e) => setRunSize(prev => Math.max(1, parseInt(e.target.value) || prev)),
+          step: '1000',
+          min: '1'
+        })
+      ),
+
+      React.createElement('div', { className: 'form-group' },
+        React.createElement('label', null, 'Quantity Breaks'),
+        React.createElement('input', {
+          type: 'text',
+          value: quantityBreaks,
+          onChange: (e) => setQuantityBreaks(e.target.value),
+          placeholder: '1000, 10000, 100000'
+        })
+      ),
+
+      React.createElement('div', { className: 'form-group' },
+        React.createElement('label', null, `Secondary Operations (${selectedOperations.length} selected)`),
+        React.createElement(SecondaryOperations, {
+          operations,
+          selected: selectedOperations,
+          onSelectedChange: setSelectedOperations,
+          onCatalogChange: handleOperationsChange
+        })
+      ),
+
+      React.createElement('div', { className: 'form-group' },
+        React.createElement('label', null, `Shop Settings (${shopSettings.version === 0 ? 'defaults' : `v${shopSettings.version}`})`),
+        React.createElement('button', {
+          type: 'button',
+          className: 'toggle-button',
+          onClick: () => setShowSettings(prev => !prev)
+        }, showSettings ? 'Hide Shop Settings' : 'Rates, Margins & Overhead'),
+        showSettings && React.createElement(ShopSettings, {
+          settings: shopSettings,
+          onSave: handleSettingsSave,
+          onClose: () => setShowSettings(false)
+        })
+      ),
+
+      React.createElement('div', { className: 'form-group' },
+        React.createElement('label', null, `Press Catalog (${presses.filter(p => p.available).length} of ${presses.length} available)`),
+        React.createElement('button', {
+          type: 'button',
+          className: 'toggle-button',
+          onClick: () => setShowPresses(prev => !prev)
+        }, showPresses ? 'Hide Press Catalog' : 'Manage Press Catalog'),
+        showPresses && React.createElement(PressCatalog, {
+          presses,
+          onChange: handlePressesChange,
+          onClose: () => setShowPresses(false)
+        })
       )
     ),
 
     // RIGHT SIDE - RESULTS
     React.createElement('div', null,
+      // Inputs the engine rejects, e.g. a zero volume typed in
+      quoteError ? React.createElement('div', { className: 'card' },
+        React.createElement('h2', null, 'Check Part Inputs'),
+        React.createElement('div', { className: 'warning-item' }, `⚠️ ${quoteError}`)
+      ) :
+      // No quote at all when nothing in the shop can run the mold
+      results.pressError ? React.createElement('div', { className: 'card' },
+        React.createElement('h2', null, 'No Press Available'),
+        React.createElement('div', {
+          style: {
+            background: 'var(--error)',
+            color: 'white',
+            padding: '0.75rem',
+            borderRadius: '6px',
+            marginBottom: '1rem',
+            fontSize: '0.9rem'
+          }
+        }, `${results.pressError}: ${units.value('length', results.moldSize.width, 0)}×${units.value('length', results.moldSize.height, 0)}×${units.format('length', results.moldSize.thickness, 0)} mold, ${results.requiredTonnage.toFixed(0)}T clamp, ${units.format('weight', results.shotWeight, 1)} shot. Reduce cavities or add a press to the catalog.`),
+        React.createElement(PressSelectionReport, { evaluations: results.pressEvaluations, selectedPress: null }),
+        React.createElement(CavityLayout, { layout: results.layout })
+      ) : React.createElement(React.Fragment, null,
       // Final Quote at the top of right column
       React.createElement('div', { className: 'final-quote' },
-        React.createElement('h2', null, 'Cost Per Part'),
+        React.createElement('h2', null, 'Landed Cost Per Part'),
         React.createElement('div', null,
-          React.createElement('span', { className: 'price' }, `$${results.totalCostPerPart.toFixed(4)}`),
+          React.createElement('span', { className: 'price' }, `$${results.landedCostPerPart.toFixed(4)}`),
           React.createElement('span', { className: 'unit' }, '/part')
         ),
         React.createElement('p', { style: { color: 'rgba(255,255,255,0.8)', marginTop: '1rem', fontSize: '0.9rem' } },
-          `Based on ${cavities} cavity mold with ${results.selectedResin.name}`
+          // Every line that adds up to the landed cost; commercial lines only when set
+          `${[
+            ['Piece price', results.totalCostPerPart],
+            ['overhead', results.overheadCostPerPart],
+            ['tooling', results.toolingCostPerPart],
+            ['setup', results.setupCostPerPart],
+            ['secondary ops', results.secondaryCostPerPart],
+            ['packaging', results.packagingCostPerPart],
+            ['freight', results.shippingCostPerPart],
+            ['SG&A', results.sgaCostPerPart],
+            ['profit', results.profitPerPart]
+          ].filter(([label, value]) => value > 0 || label === 'Piece price' || label === 'tooling' || label === 'setup')
+            .map(([label, value]) => `${label} $${value.toFixed(4)}`).join(' + ')} over ${orderQuantity.toLocaleString()} parts`
+        ),
+        React.createElement('p', { style: { color: 'rgba(255,255,255,0.8)', fontSize: '0.9rem' } },
+          `Based on ${cavities} cavity mold with ${results.selectedResin.name} · Quoted as $${results.partPrice.toFixed(4)}/part + $${results.toolingCost.toFixed(0)} tooling`
         )
       ),
 
@@ -277,10 +753,20 @@ function App() {
         
         React.createElement('div', { className: 'results-grid' },
           React.createElement('div', { className: 'result-item' },
-            React.createElement('h3', null, 'Material Weight'),
+            React.createElement('h3', null, 'Part Weight'),
             React.createElement('div', null,
-              React.createElement('span', { className: 'value' }, results.materialWeight.toFixed(1)),
-              React.createElement('span', { className: 'unit' }, 'g')
+              React.createElement('span', { className: 'value' }, units.value('weight', results.materialWeight, 1)),
+              React.createElement('span', { className: 'unit' }, units.unit('weight'))
+            )
+          ),
+
+          React.createElement('div', { className: 'result-item' },
+            React.createElement('h3', null, 'Runner Weight'),
+            React.createElement('div', null,
+              React.createElement('span', { className: 'value' }, units.value('weight', results.runner.runnerWeight, 1)),
+              React.createElement('span', { className: 'unit' }, results.runner.type === 'hot'
+                ? `${units.unit('weight')} · hot runner, ${results.runner.drops} drop${results.runner.drops === 1 ? '' : 's'}`
+                : `${units.unit('weight')}/shot · Ø${units.format('length', results.runner.diameter, 1)}, ${units.format('weight', results.reusedRegrind, 1)} reground`)
             )
           ),
 
@@ -294,8 +780,8 @@ function App() {
           React.createElement('div', { className: 'result-item' },
             React.createElement('h3', null, 'Mold Size'),
             React.createElement('div', null,
-              React.createElement('span', { className: 'value' }, results.moldSize.width.toFixed(0)),
-              React.createElement('span', { className: 'unit' }, `× ${results.moldSize.height.toFixed(0)}mm`)
+              React.createElement('span', { className: 'value' }, units.value('length', results.moldSize.width, 0)),
+              React.createElement('span', { className: 'unit' }, `× ${units.value('length', results.moldSize.height, 0)} × ${units.format('length', results.moldSize.thickness, 0)}`)
             )
           ),
 
@@ -314,6 +800,14 @@ function App() {
             )
           ),
 
+          React.createElement('div', { className: 'result-item' },
+            React.createElement('h3', null, 'Side Actions'),
+            React.createElement('div', null,
+              React.createElement('span', { className: 'value' }, partData.sideActions + partData.lifters),
+              React.createElement('span', { className: 'unit' }, `+${results.sideActionCycleTime.toFixed(1)}s/cycle`)
+            )
+          ),
+
           React.createElement('div', { className: 'result-item' },
             React.createElement('h3', null, 'Parts Per Hour'),
             React.createElement('div', null,
@@ -322,6 +816,14 @@ function App() {
             )
           ),
 
+          React.createElement('div', { className: 'result-item' },
+            React.createElement('h3', null, 'Lead Time'),
+            React.createElement('div', null,
+              React.createElement('span', { className: 'value' }, results.leadTime.totalWeeks),
+              React.createElement('span', { className: 'unit' }, `wk (${results.leadTime.toolingWeeks} tooling + ${results.leadTime.productionWeeks} production)`)
+            )
+          ),
+
           React.createElement('div', { className: 'result-item' },
             React.createElement('h3', null, 'Machine'),
             React.createElement('div', null,
@@ -329,35 +831,275 @@ function App() {
             )
           ),
 
+          React.createElement('div', { className: 'result-item' },
+            React.createElement('h3', null, 'Clamp Tonnage'),
+            React.createElement('div', null,
+              React.createElement('span', { className: 'value' }, results.requiredTonnage.toFixed(0)),
+              React.createElement('span', { className: 'unit' }, `T required / ${results.selectedMachine.clampForce}T available`)
+            )
+          ),
+
           React.createElement('div', { className: 'result-item' },
             React.createElement('h3', null, 'Machine Rate'),
             React.createElement('div', null,
               React.createElement('span', { className: 'value' }, `$${results.selectedMachine.hourlyRate}`),
               React.createElement('span', { className: 'unit' }, '/hr')
             )
+          ),
+
+          React.createElement('div', { className: 'result-item' },
+            React.createElement('h3', null, 'Shot Weight'),
+            React.createElement('div', null,
+              React.createElement('span', { className: 'value' }, units.value('weight', results.shotWeight, 1)),
+              React.createElement('span', { className: 'unit' }, `${units.unit('weight')} parts + runner, of ${units.format('weight', results.selectedMachine.shotSize, 0)} barrel`)
+            )
+          )
+        ),
+
+        results.pressWarnings.map(warning => React.createElement('div', { key: warning, className: 'warning-item' }, `⚠️ ${warning}`)),
+
+        results.toolLifeExceeded && React.createElement('div', { className: 'warning-item' },
+          `⚠️ ${orderQuantity.toLocaleString()} parts needs more shots than ${results.selectedSteel.name} is rated for (~${results.selectedSteel.toolLife.toLocaleString()}) — consider hardened steel`
+        ),
+
+        analysis && analysis.meshHealth && analysis.meshHealth.confidence === 'low' && React.createElement('div', { className: 'warning-item' },
+          `⚠️ Mesh is not watertight (${analysis.meshHealth.issues.join(', ')}) — part volume, weight and material cost may be wrong`
+        ),
+
+        analysis && analysis.parting.regions.length > 0 && React.createElement('div', { className: 'warning-item' },
+          `⚠️ ${analysis.parting.undercutAreaPercent.toFixed(1)}% of the surface is undercut when pulling along [${analysis.pullDirection.map(c => c.toFixed(2)).join(', ')}] — ${analysis.parting.sideActions} side action(s) and ${analysis.parting.lifters} lifter(s) estimated`
+        ),
+
+        analysis && analysis.draft.criticalAreaPercent > 0 && React.createElement('div', { className: 'warning-item' },
+          `⚠️ ${analysis.draft.criticalAreaPercent.toFixed(1)}% of the surface has less than ${MOLDABILITY_RULES.criticalDraft}° draft — expect ejection marks or add draft before tooling`
+        ),
+
+        React.createElement('div', { className: 'breakdown' },
+          React.createElement('h3', null, 'Cycle Time Breakdown'),
+          [
+            ['Fill', results.cycleBreakdown.fill],
+            ['Pack & Hold', results.cycleBreakdown.pack],
+            [`Cooling (${results.selectedResin.meltTemp}→${results.selectedResin.ejectTemp}°C, mold ${results.selectedResin.moldTemp}°C)`, results.cycleBreakdown.cooling],
+            ['Mold Open / Close / Eject', results.cycleBreakdown.moldMovement],
+            ['Side Actions', results.cycleBreakdown.sideActions],
+            ['Finish, Texture & Tolerance', results.cycleBreakdown.surfaceSpecs]
+          ].map(([label, time]) =>
+            React.createElement('div', { key: label, className: 'breakdown-item' },
+              React.createElement('span', { className: 'label' }, label),
+              React.createElement('span', { className: 'value' }, `${time.toFixed(1)}s`)
+            )
+          ),
+          results.cycleTime > Object.values(results.cycleBreakdown).reduce((sum, time) => sum + time, 0) && React.createElement('div', { className: 'breakdown-item' },
+            React.createElement('span', { className: 'label' }, 'Minimum Cycle Floor'),
+            React.createElement('span', { className: 'value' }, `${shopRules.minCycleTime.toFixed(1)}s`)
           )
         ),
 
         React.createElement('div', { className: 'breakdown' },
           React.createElement('h3', null, 'Cost Breakdown'),
           React.createElement('div', { className: 'breakdown-item' },
-            React.createElement('span', { className: 'label' }, 'Raw Material Cost'),
+            React.createElement('span', { className: 'label' }, `Part Resin (${units.format('weight', results.materialWeight, 1)} @ $${results.resinCostPerKg.toFixed(2)}/kg)`),
             React.createElement('span', { className: 'value' }, `$${results.rawMaterialCost.toFixed(4)}`)
           ),
+          results.runner.type === 'cold' && React.createElement('div', { className: 'breakdown-item' },
+            React.createElement('span', { className: 'label' }, `Runner Scrap (${units.format('weight', results.runnerWeightPerPart, 2)}/part net of regrind)`),
+            React.createElement('span', { className: 'value' }, `+$${results.runnerCost.toFixed(4)}`)
+          ),
           results.selectedColor.premium > 0 && React.createElement('div', { className: 'breakdown-item' },
             React.createElement('span', { className: 'label' }, `Color Premium`),
             React.createElement('span', { className: 'value' }, `+$${results.colorCost.toFixed(4)}`)
           ),
+          React.createElement('div', { className: 'breakdown-item' },
+            React.createElement('span', { className: 'label' }, 'Net Material Cost'),
+            React.createElement('span', { className: 'value' }, `$${results.totalMaterialCost.toFixed(4)}`)
+          ),
           React.createElement('div', { className: 'breakdown-item' },
             React.createElement('span', { className: 'label' }, 'Machine Time'),
             React.createElement('span', { className: 'value' }, `$${results.machineCostPerPart.toFixed(4)}`)
           ),
+          results.laborCostPerPart > 0 && React.createElement('div', { className: 'breakdown-item' },
+            React.createElement('span', { className: 'label' }, `Operator Labor (${shopRules.operatorRatio} per press @ $${shopRules.laborRate}/hr)`),
+            React.createElement('span', { className: 'value' }, `+$${results.laborCostPerPart.toFixed(4)}`)
+          ),
+          React.createElement('div', { className: 'breakdown-item' },
+            React.createElement('span', { className: 'label' }, `Scrap Factor (${+(results.scrapRate * 100).toFixed(2)}%${results.scrapRate > shopRules.scrapRate ? ` incl. ${+((results.scrapRate - shopRules.scrapRate) * 100).toFixed(2)}% for finish & tolerance` : ''})`),
+            React.createElement('span', { className: 'value' }, `+$${results.scrapCostPerPart.toFixed(4)}`)
+          ),
+          React.createElement('div', { className: 'breakdown-item' },
+            React.createElement('span', { className: 'label' }, 'Piece Price'),
+            React.createElement('span', { className: 'value' }, `$${results.totalCostPerPart.toFixed(4)}`)
+          ),
+          results.overheadCostPerPart > 0 && React.createElement('div', { className: 'breakdown-item' },
+            React.createElement('span', { className: 'label' }, `Factory Overhead (${+(shopRules.overheadRate * 100).toFixed(2)}%)`),
+            React.createElement('span', { className: 'value' }, `+$${results.overheadCostPerPart.toFixed(4)}`)
+          ),
+          React.createElement('div', { className: 'breakdown-item' },
+            React.createElement('span', { className: 'label' }, `Tooling Amortization (${orderQuantity.toLocaleString()} parts)`),
+            React.createElement('span', { className: 'value' }, `+$${results.toolingCostPerPart.toFixed(4)}`)
+          ),
+          React.createElement('div', { className: 'breakdown-item' },
+            React.createElement('span', { className: 'label' }, `Setup (${results.productionRuns} run${results.productionRuns === 1 ? '' : 's'} × $${shopRules.setupCost})`),
+            React.createElement('span', { className: 'value' }, `+$${results.setupCostPerPart.toFixed(4)}`)
+          ),
+          results.secondaryOperations.map(operation => React.createElement('div', { key: operation.id, className: 'breakdown-item' },
+            React.createElement('span', {
+              className: 'label',
+              title: `Setup $${operation.setupCostPerPart.toFixed(4)} · labor $${operation.laborCostPerPart.toFixed(4)} · material $${operation.materialCostPerPart.toFixed(4)}`
+            }, `${operation.name}${operation.count > 1 ? ` ×${operation.count}` : ''}`),
+            React.createElement('span', { className: 'value' }, `+$${operation.costPerPart.toFixed(4)}`)
+          )),
+          results.packagingCostPerPart > 0 && React.createElement('div', { className: 'breakdown-item' },
+            React.createElement('span', { className: 'label' }, 'Packaging'),
+            React.createElement('span', { className: 'value' }, `+$${results.packagingCostPerPart.toFixed(4)}`)
+          ),
+          results.shippingCostPerPart > 0 && React.createElement('div', { className: 'breakdown-item' },
+            React.createElement('span', { className: 'label' }, 'Freight'),
+            React.createElement('span', { className: 'value' }, `+$${results.shippingCostPerPart.toFixed(4)}`)
+          ),
+          results.sgaCostPerPart > 0 && React.createElement('div', { className: 'breakdown-item' },
+            React.createElement('span', { className: 'label' }, `SG&A (${+(shopRules.sgaRate * 100).toFixed(2)}% of $${results.fullCostPerPart.toFixed(4)} full cost)`),
+            React.createElement('span', { className: 'value' }, `+$${results.sgaCostPerPart.toFixed(4)}`)
+          ),
+          results.profitPerPart > 0 && React.createElement('div', { className: 'breakdown-item' },
+            React.createElement('span', { className: 'label' }, `Profit (${+(shopRules.profitRate * 100).toFixed(2)}% ${shopRules.pricingMode})`),
+            React.createElement('span', { className: 'value' }, `+$${results.profitPerPart.toFixed(4)}`)
+          ),
+          React.createElement('div', { className: 'breakdown-item' },
+            React.createElement('span', { className: 'label' }, 'Landed Cost'),
+            React.createElement('span', { className: 'value' }, `$${results.landedCostPerPart.toFixed(4)}`)
+          ),
+          React.createElement('p', { style: { fontSize: '0.8rem', color: '#94a3b8', marginTop: '0.5rem' } },
+            `Priced with shop settings ${settingsLabel(shopSettings)}`
+          )
+        ),
+
+        // Contribution of each spec, already included in the cost and tooling lines
+        results.surfaceCostPerPart > 0 && React.createElement('div', { className: 'breakdown' },
+          React.createElement('h3', null, 'Finish, Texture & Tolerance'),
+          results.surfaceEffects.filter(effect => effect.costPerPart > 0).map(effect =>
+            React.createElement('div', { key: effect.kind, className: 'breakdown-item' },
+              React.createElement('span', { className: 'label' }, `${effect.name} · $${effect.toolingCost.toFixed(0)} tooling, +${effect.cycleTime.toFixed(1)}s cycle, +${+(effect.scrapRate * 100).toFixed(2)}% scrap`),
+              React.createElement('span', { className: 'value' }, `$${effect.costPerPart.toFixed(4)}`)
+            )
+          ),
+          React.createElement('div', { className: 'breakdown-item' },
+            React.createElement('span', { className: 'label' }, 'Included in the landed cost'),
+            React.createElement('span', { className: 'value' }, `$${results.surfaceCostPerPart.toFixed(4)}`)
+          )
+        ),
+
+        React.createElement('div', { className: 'breakdown' },
+          React.createElement('h3', null, 'Tooling (one-time)'),
+          React.createElement('div', { className: 'breakdown-item' },
+            React.createElement('span', { className: 'label' }, 'Mold Base'),
+            React.createElement('span', { className: 'value' }, `$${results.moldBaseCost.toFixed(0)}`)
+          ),
           React.createElement('div', { className: 'breakdown-item' },
-            React.createElement('span', { className: 'label' }, `Scrap Factor (${RULES.scrapRate * 100}%)`),
-            React.createElement('span', { className: 'value' }, `+$${(results.totalCostPerPart - (results.totalMaterialCost + results.machineCostPerPart)).toFixed(4)}`)
+            React.createElement('span', { className: 'label' }, `Cavities (${cavities} × ${results.selectedSteel.name})`),
+            React.createElement('span', { className: 'value' }, `$${results.cavityCost.toFixed(0)}`)
+          ),
+          results.familyCavityCost > 0 && React.createElement('div', { className: 'breakdown-item' },
+            React.createElement('span', { className: 'label' }, `Family Cavities (${familyParts.map(part => `${part.count} × ${part.name}`).join(', ')})`),
+            React.createElement('span', { className: 'value' }, `$${results.familyCavityCost.toFixed(0)}`)
+          ),
+          results.sideActionToolingCost > 0 && React.createElement('div', { className: 'breakdown-item' },
+            React.createElement('span', { className: 'label' }, 'Side Actions & Lifters'),
+            React.createElement('span', { className: 'value' }, `$${results.sideActionToolingCost.toFixed(0)}`)
+          ),
+          results.surfaceToolingCost > 0 && React.createElement('div', { className: 'breakdown-item' },
+            React.createElement('span', { className: 'label' }, 'Polish, Texture & Tolerance Work'),
+            React.createElement('span', { className: 'value' }, `$${results.surfaceToolingCost.toFixed(0)}`)
+          ),
+          results.runner.toolingCost > 0 && React.createElement('div', { className: 'breakdown-item' },
+            React.createElement('span', { className: 'label' }, results.runner.drops > 1 ? `Hot Runner Manifold (${results.runner.drops} drops)` : 'Hot Sprue'),
+            React.createElement('span', { className: 'value' }, `$${results.runner.toolingCost.toFixed(0)}`)
+          ),
+          React.createElement('div', { className: 'breakdown-item' },
+            React.createElement('span', { className: 'label' }, 'Total Tooling'),
+            React.createElement('span', { className: 'value' }, `$${results.toolingCost.toFixed(0)}`)
+          ),
+          results.partShare < 1 && React.createElement('div', { className: 'breakdown-item' },
+            React.createElement('span', { className: 'label' }, 'Share amortized into this part (by shot weight)'),
+            React.createElement('span', { className: 'value' }, `${(results.partShare * 100).toFixed(0)}%`)
+          )
+        ),
+
+        React.createElement('div', { className: 'breakdown' },
+          React.createElement('h3', null, 'Cavity Layout'),
+          React.createElement(CavityLayout, { layout: results.layout }),
+          [
+            ['Plate', `${units.value('length', results.layout.plateWidth, 0)} × ${units.format('length', results.layout.plateHeight, 0)} (${results.layout.rows} × ${results.layout.cols} grid${results.layout.rotated ? ', parts rotated 90°' : ''})`],
+            ['Flow Length (sprue to farthest gate)', units.format('length', results.layout.flowLength, 0)],
+            ['Total Runner Length', units.format('length', results.layout.runnerLength, 0)],
+            ['Runner Balance', results.layout.cavities.length === 1 ? 'Sprue gated' : results.layout.balanced ? 'Naturally balanced' : 'Unbalanced — size runners or gates to balance fill']
+          ].map(([label, value]) =>
+            React.createElement('div', { key: label, className: 'breakdown-item' },
+              React.createElement('span', { className: 'label' }, label),
+              React.createElement('span', { className: 'value' }, value)
+            )
           )
+        ),
+
+        React.createElement('div', { className: 'breakdown' },
+          React.createElement('h3', null, 'Press Selection'),
+          React.createElement(PressSelectionReport, { evaluations: results.pressEvaluations, selectedPress: results.selectedMachine })
         )
       )
+      ),
+
+      // Every part of a multi-file RFQ
+      React.createElement(ProjectQuote, {
+        parts: projectParts,
+        materials,
+        orderQuantity,
+        priceProjectPart,
+        onPartChange: handleProjectPartChange,
+        onRemove: handleProjectPartRemove,
+        onOpen: handleOpenProjectPart,
+        onClear: () => {
+          cancelQueueAnalysis();
+          setProjectParts([]);
+        }
+      }),
+
+      // Price at each volume for every cavity option
+      React.createElement(QuantityBreaks, {
+        quantities: breakQuantities,
+        cavityOptions: CAVITY_OPTIONS,
+        cavities,
+        priceAt
+      }),
+
+      // Mesh integrity checks and repairs made before measuring
+      analysis && React.createElement(MeshHealthReport, { health: analysis.meshHealth }),
+
+      // Wall thickness measured from the uploaded mesh
+      analysis && React.createElement(WallThicknessReport, { thickness: analysis.thickness, units }),
+
+      // Draft angle summary and colour map
+      analysis && React.createElement(DraftReport, { analysis }),
+
+      // Customer and internal PDF quotes
+      results && !results.pressError && React.createElement(QuotePdfExport, {
+        customer: quoteReference.customer,
+        partNumber: quoteReference.partNumber,
+        inputs: quoteInputs,
+        results,
+        analysis,
+        quantityRows,
+        rules: shopRules
+      }),
+
+      // Customer quotes with revision history
+      React.createElement(SavedQuotes, {
+        customer: quoteReference.customer,
+        partNumber: quoteReference.partNumber,
+        onReferenceChange: setQuoteReference,
+        inputs: quoteInputs,
+        analysis,
+        results,
+        onOpen: handleOpenQuote
+      })
     )
   );
 }
@@ -1,160 +1,275 @@
-import React, { useState, useCallback } from 'react';
-import { analyzeCADFile, validateFile } from '../utils/cadAnalyzer';
+import React, { useState, useCallback, useRef, useEffect } from 'react';
+import { validateFile, SUPPORTED_EXTENSIONS } from '../utils/cadAnalyzer';
+import { analyzeInWorker } from '../utils/analysisWorker';
+import { expandUploads, isBatchUpload } from '../utils/batchUpload';
+import { LENGTH_UNITS, unitToMM } from '../utils/units';
 
-const CADAnalyzer = ({ onAnalysisComplete, onError }) => {
+const UNIT_METHODS = {
+  header: 'declared in the file',
+  size: 'guessed from part size',
+  default: 'assumed, the file declares none',
+  format: 'fixed by the file format',
+  override: 'set manually'
+};
+
+const unitName = (id) => LENGTH_UNITS.find(unit => unit.id === id).name.toLowerCase();
+
+const CADAnalyzer = ({ activeFileName, onAnalysisComplete, onAssemblyAnalyzed, onBatchUpload, onError }) => {
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [currentFile, setCurrentFile] = useState(null);
+  const [isDragging, setIsDragging] = useState(false);
+  // Last single-part upload, kept so its units can be overridden and the file re-analysed
+  const [lastUpload, setLastUpload] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const abortRef = useRef(null);
 
-  const handleFileUpload = useCallback(async (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
+  // Stop the worker if the page goes away mid-analysis
+  useEffect(() => () => abortRef.current && abortRef.current.abort(), []);
 
-    try {
-      // Validate file
-      validateFile(file);
-      setCurrentFile(file.name);
-      setIsAnalyzing(true);
+  const analyzeSingle = useCallback(async (file, units) => {
+    setCurrentFile(file.name);
+    setIsAnalyzing(true);
+    setProgress({ stage: 'Starting', fraction: 0 });
+    const controller = new AbortController();
+    abortRef.current = controller;
 
-      // Analyze CAD file - NO ARTIFICIAL DELAYS!
-      const analysis = await analyzeCADFile(file);
-      
-      // Notify parent component immediately
-      onAnalysisComplete(analysis);
+    try {
+      // Parsing and measurement run in a Web Worker so large meshes don't freeze the page
+      const parts = await analyzeInWorker(file, { units, onProgress: setProgress, signal: controller.signal });
       
-      // Reset
+      // A single body drives the main quote; an assembly becomes a project
+      if (parts.length === 1) {
+        onAnalysisComplete(parts[0]);
+        setLastUpload({ file, units: parts[0].units });
+      } else {
+        onAssemblyAnalyzed(parts);
+        setLastUpload(null);
+      }
+    } finally {
+      abortRef.current = null;
       setIsAnalyzing(false);
       setCurrentFile(null);
-      event.target.value = ''; // Reset file input
-      
+      setProgress(null);
+    }
+  }, [onAnalysisComplete, onAssemblyAnalyzed]);
+
+  const handleCancel = (event) => {
+    event.preventDefault();
+    if (abortRef.current) abortRef.current.abort();
+  };
+
+  // A cancelled analysis is not an error; the previous quote stays as it was
+  const reportError = useCallback((error) => {
+    if (error.name === 'AbortError') return;
+    console.error('CAD analysis error:', error);
+    onError(error.message);
+  }, [onError]);
+
+  const handleFiles = useCallback(async (fileList) => {
+    if (fileList.length === 0) return;
+
+    try {
+      // Several files or a zip go to the project queue
+      if (isBatchUpload(fileList)) {
+        onBatchUpload(await expandUploads(fileList));
+        return;
+      }
+
+      const file = fileList[0];
+      validateFile(file);
+      await analyzeSingle(file);
     } catch (error) {
-      console.error('CAD analysis error:', error);
-      onError(error.message);
-      setIsAnalyzing(false);
-      setCurrentFile(null);
+      reportError(error);
     }
-  }, [onAnalysisComplete, onError]);
+  }, [analyzeSingle, onBatchUpload, reportError]);
+
+  const handleUnitsChange = async (units) => {
+    try {
+      await analyzeSingle(lastUpload.file, units);
+    } catch (error) {
+      reportError(error);
+    }
+  };
+
+  const handleFileUpload = (event) => {
+    handleFiles(Array.from(event.target.files));
+    event.target.value = ''; // Reset file input
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setIsDragging(false);
+    if (!isAnalyzing) handleFiles(Array.from(event.dataTransfer.files));
+  };
 
   return (
-    <div className="upload-area">
-      <input
-        type="file"
-        id="cad-file"
-        accept=".stl,.stp,.step,.igs,.iges"
-        onChange={handleFileUpload}
-        disabled={isAnalyzing}
-        style={{ display: 'none' }}
-      />
-      
-      <label 
-        htmlFor="cad-file" 
-        style={{ 
-          cursor: isAnalyzing ? 'not-allowed' : 'pointer',
-          display: 'block',
-          width: '100%',
-          height: '100%',
-          padding: '2rem'
-        }}
+    <>
+      <div
+        className={`upload-area${isDragging ? ' dragging' : ''}`}
+        onDragOver={(event) => { event.preventDefault(); setIsDragging(true); }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
       >
-        <div style={{ textAlign: 'center' }}>
-          {!isAnalyzing ? (
-            <>
-              {/* Upload Icon */}
-              <div style={{ 
-                fontSize: '3rem',
-                marginBottom: '1rem',
-                color: '#3b82f6'
-              }}>
-                📁
-              </div>
-              
-              <p style={{ 
-                fontSize: '1.2rem', 
-                marginBottom: '0.5rem',
-                fontWeight: '600',
-                color: 'var(--text-primary)'
-              }}>
-                Upload CAD File
-              </p>
-              
-              <p style={{ 
-                fontSize: '1rem', 
-                color: '#94a3b8', 
-                marginBottom: '1.5rem',
-                lineHeight: '1.4'
-              }}>
-                Click anywhere or drag & drop<br/>
-                <strong>Supported: .STL, .STEP, .STP</strong>
-              </p>
-              
-              {/* Visual "button" that's not actually a button */}
-              <div style={{
-                display: 'inline-block',
-                background: 'var(--accent-primary)',
-                color: 'white',
-                padding: '0.75rem 1.5rem',
-                borderRadius: '8px',
-                fontWeight: '600',
-                fontSize: '1rem',
-                transition: 'all 0.2s',
-                transform: 'translateY(0)'
-              }}>
-                Select File
-              </div>
-            </>
-          ) : (
-            <>
-              {/* Analyzing State */}
-              <div style={{ 
-                fontSize: '2.5rem',
-                marginBottom: '1rem'
-              }}>
-                ⚙️
-              </div>
-              
-              <p style={{ 
-                fontSize: '1.1rem', 
-                marginBottom: '0.5rem',
-                fontWeight: '600',
-                color: 'var(--text-primary)'
-              }}>
-                Analyzing CAD File
-              </p>
-              
-              <p style={{ 
-                fontSize: '0.9rem', 
-                color: '#94a3b8', 
-                marginBottom: '1.5rem'
-              }}>
-                {currentFile}
-              </p>
-              
-              <div style={{ 
-                display: 'flex', 
-                alignItems: 'center', 
-                justifyContent: 'center',
-                gap: '0.75rem'
-              }}>
+        <input
+          type="file"
+          id="cad-file"
+          accept={[...SUPPORTED_EXTENSIONS, '.zip'].join(',')}
+          multiple
+          onChange={handleFileUpload}
+          disabled={isAnalyzing}
+          style={{ display: 'none' }}
+        />
+        
+        <label 
+          htmlFor="cad-file" 
+          style={{ 
+            cursor: isAnalyzing ? 'not-allowed' : 'pointer',
+            display: 'block',
+            width: '100%',
+            height: '100%',
+            padding: '2rem'
+          }}
+        >
+          <div style={{ textAlign: 'center' }}>
+            {!isAnalyzing ? (
+              <>
+                {/* Upload Icon */}
                 <div style={{ 
-                  width: '20px', 
-                  height: '20px', 
-                  border: '2px solid #3b82f6',
-                  borderTop: '2px solid transparent',
-                  borderRadius: '50%',
-                  animation: 'spin 1s linear infinite'
-                }} />
-                <span style={{ fontSize: '0.9rem', color: '#94a3b8' }}>
-                  Processing {currentFile?.split('.').pop()?.toUpperCase()}...
-                </span>
+                  fontSize: '3rem',
+                  marginBottom: '1rem',
+                  color: '#3b82f6'
+                }}>
+                  📁
+                </div>
+                
+                <p style={{ 
+                  fontSize: '1.2rem', 
+                  marginBottom: '0.5rem',
+                  fontWeight: '600',
+                  color: 'var(--text-primary)'
+                }}>
+                  Upload CAD Files
+                </p>
+                
+                <p style={{ 
+                  fontSize: '1rem', 
+                  color: '#94a3b8', 
+                  marginBottom: '1.5rem',
+                  lineHeight: '1.4'
+                }}>
+                  Click anywhere or drag & drop<br/>
+                  <strong>Supported: .STL, .STEP, .STP, .IGES, .IGS, .OBJ, .3MF, .PLY, .GLTF, .GLB</strong><br/>
+                  Several files or a .ZIP build a project quote
+                </p>
+                
+                {/* Visual "button" that's not actually a button */}
+                <div style={{
+                  display: 'inline-block',
+                  background: 'var(--accent-primary)',
+                  color: 'white',
+                  padding: '0.75rem 1.5rem',
+                  borderRadius: '8px',
+                  fontWeight: '600',
+                  fontSize: '1rem',
+                  transition: 'all 0.2s',
+                  transform: 'translateY(0)'
+                }}>
+                  Select Files
+                </div>
+              </>
+            ) : (
+              <>
+                {/* Analyzing State */}
+                <div style={{ 
+                  fontSize: '2.5rem',
+                  marginBottom: '1rem'
+                }}>
+                  ⚙️
+                </div>
+                
+                <p style={{ 
+                  fontSize: '1.1rem', 
+                  marginBottom: '0.5rem',
+                  fontWeight: '600',
+                  color: 'var(--text-primary)'
+                }}>
+                  Analyzing CAD File
+                </p>
+                
+                <p style={{ 
+                  fontSize: '0.9rem', 
+                  color: '#94a3b8', 
+                  marginBottom: '1.5rem'
+                }}>
+                  {currentFile}
+                </p>
+                
+                <div style={{ 
+                  display: 'flex', 
+                  alignItems: 'center', 
+                  justifyContent: 'center',
+                  gap: '0.75rem'
+                }}>
+                  <div style={{ 
+                    width: '20px', 
+                    height: '20px', 
+                    border: '2px solid #3b82f6',
+                    borderTop: '2px solid transparent',
+                    borderRadius: '50%',
+                    animation: 'spin 1s linear infinite'
+                  }} />
+                  <span style={{ fontSize: '0.9rem', color: '#94a3b8' }}>
+                    {progress ? `${progress.stage}… ${Math.round(progress.fraction * 100)}%` : `Processing ${currentFile?.split('.').pop()?.toUpperCase()}...`}
+                  </span>
+                </div>
+
+                <div className="analysis-progress">
+                  <div style={{ width: `${Math.round((progress ? progress.fraction : 0) * 100)}%` }} />
+                </div>
+
+                <button type="button" className="toggle-button" onClick={handleCancel}>
+                  Cancel
+                </button>
+              </>
+            )}
+          </div>
+        </label>
+        
+        <div className="simulation-notice" style={{ background: '#10b981', marginTop: '0' }}>
+          ✅ REAL-TIME CAD ANALYSIS - Click Anywhere to Upload
+        </div>
+      </div>
+
+      {lastUpload && lastUpload.units && lastUpload.file.name === activeFileName && (
+        <div className="units-bar">
+          {lastUpload.units.ambiguous && (
+            <div className="warning-item" style={{ marginTop: 0, marginBottom: '0.5rem' }}>
+              ⚠️ {lastUpload.file.name} {lastUpload.units.declared
+                ? `declares ${unitName(lastUpload.units.declared)}, which would make it ${(lastUpload.units.rawSize * unitToMM(lastUpload.units.declared)).toFixed(0)} mm across`
+                : `has no units and is ${lastUpload.units.rawSize.toFixed(2)} units across`} — quoted as{' '}
+              {unitName(lastUpload.units.source)}. Which unit was it drawn in?
+              <div style={{ marginTop: '0.5rem', display: 'flex', gap: '0.5rem' }}>
+                {lastUpload.units.candidates.map(id => (
+                  <button key={id} type="button" className="toggle-button" disabled={isAnalyzing} onClick={() => handleUnitsChange(id)}>
+                    {LENGTH_UNITS.find(unit => unit.id === id).name}
+                  </button>
+                ))}
               </div>
-            </>
+            </div>
           )}
+          <label htmlFor="cad-units">Drawn in</label>
+          <select
+            id="cad-units"
+            value={lastUpload.units.source}
+            disabled={isAnalyzing}
+            onChange={(e) => handleUnitsChange(e.target.value)}
+          >
+            {LENGTH_UNITS.map(unit => <option key={unit.id} value={unit.id}>{unit.name}</option>)}
+          </select>
+          <span>{UNIT_METHODS[lastUpload.units.method]}</span>
         </div>
-      </label>
-      
-      <div className="simulation-notice" style={{ background: '#10b981', marginTop: '0' }}>
-        ✅ REAL-TIME CAD ANALYSIS - Click Anywhere to Upload
-      </div>
-    </div>
+      )}
+    </>
   );
 };
 
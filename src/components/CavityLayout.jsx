@@ -0,0 +1,47 @@
+import React from 'react';
+
+const PART_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#a855f7', '#06b6d4', '#ef4444'];
+
+// Runners are routed orthogonally: along x first, then y
+const runnerPath = ({ from, to }) => `M ${from.x} ${from.y} L ${to.x} ${from.y} L ${to.x} ${to.y}`;
+
+// Plan view of the mold plate with each cavity, the sprue and the runner tree
+const CavityLayout = ({ layout }) => {
+  const { plateWidth, plateHeight, cavities, segments } = layout;
+  const names = [...new Set(cavities.map(cavity => cavity.name))];
+
+  return (
+    <div className="cavity-layout">
+      <svg viewBox={`${-plateWidth / 2} ${-plateHeight / 2} ${plateWidth} ${plateHeight}`}>
+        <rect x={-plateWidth / 2} y={-plateHeight / 2} width={plateWidth} height={plateHeight} className="plate" />
+        {cavities.map(cavity => (
+          <rect
+            key={cavity.index}
+            x={cavity.x - cavity.footprintX / 2}
+            y={cavity.y - cavity.footprintY / 2}
+            width={cavity.footprintX}
+            height={cavity.footprintY}
+            fill={PART_COLORS[names.indexOf(cavity.name) % PART_COLORS.length]}
+            className="cavity"
+          />
+        ))}
+        {segments.map((segment, index) => (
+          <path key={index} d={runnerPath(segment)} className="runner" />
+        ))}
+        <circle cx={0} cy={0} r={Math.max(plateWidth, plateHeight) / 60} className="sprue" />
+      </svg>
+      {names.length > 1 && (
+        <div className="chart-legend">
+          {names.map((name, index) => (
+            <span key={name}>
+              <i style={{ background: PART_COLORS[index % PART_COLORS.length] }} />
+              {name} × {cavities.filter(cavity => cavity.name === name).length}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CavityLayout;
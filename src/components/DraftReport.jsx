@@ -0,0 +1,51 @@
+import React, { useState } from 'react';
+import PartViewer from './PartViewer';
+import { MOLDABILITY_RULES } from '../utils/moldability';
+
+const DraftReport = ({ analysis }) => {
+  const [showMap, setShowMap] = useState(false);
+  const { draft } = analysis;
+
+  if (!draft) return null;
+
+  return (
+    <div className="card" style={{ marginTop: '2rem' }}>
+      <h2>Draft Angles</h2>
+
+      <div className="results-grid" style={{ gridTemplateColumns: '1fr 1fr 1fr', marginTop: 0 }}>
+        <div className="result-item" style={{ borderLeftColor: 'var(--error)' }}>
+          <h3>&lt; {MOLDABILITY_RULES.criticalDraft}°</h3>
+          <span className="value">{draft.criticalAreaPercent.toFixed(1)}</span>
+          <span className="unit">% area</span>
+        </div>
+        <div className="result-item" style={{ borderLeftColor: 'var(--warning)' }}>
+          <h3>{MOLDABILITY_RULES.criticalDraft}–{MOLDABILITY_RULES.minimumDraft}°</h3>
+          <span className="value">{draft.marginalAreaPercent.toFixed(1)}</span>
+          <span className="unit">% area</span>
+        </div>
+        <div className="result-item" style={{ borderLeftColor: 'var(--success)' }}>
+          <h3>Adequate</h3>
+          <span className="value">{draft.adequateAreaPercent.toFixed(1)}</span>
+          <span className="unit">% area</span>
+        </div>
+      </div>
+
+      <button
+        type="button"
+        className="upload-button"
+        style={{ marginTop: '1.5rem' }}
+        onClick={() => setShowMap(prev => !prev)}
+      >
+        {showMap ? 'Hide Draft Map' : 'Show Draft Map'}
+      </button>
+
+      {showMap && (
+        <div style={{ marginTop: '1rem' }}>
+          <PartViewer analysis={analysis} overlay="draft" />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DraftReport;
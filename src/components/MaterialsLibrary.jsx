@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import {
+  MATERIAL_FIELDS,
+  formatPriceBreaks,
+  normalizeMaterial,
+  nextMaterialId,
+  materialsToJSON,
+  materialsToCSV,
+  importMaterials
+} from '../utils/materialsLibrary';
+import { downloadFile } from '../utils/download';
+
+const EMPTY_MATERIAL = {
+  name: 'New Grade',
+  density: 1.0,
+  costPerKg: 2.0,
+  priceBreaks: [],
+  shrinkage: 1.0,
+  meltTemp: 230,
+  moldTemp: 50,
+  ejectTemp: 90,
+  thermalDiffusivity: 0.1,
+  cavityPressure: 350,
+  regrindAllowance: 20,
+  description: ''
+};
+
+// Editable copy with price breaks as text so partial input survives re-renders
+const toDraft = (material) => ({
+  ...material,
+  priceBreaks: formatPriceBreaks(material.priceBreaks)
+});
+
+const MaterialsLibrary = ({ materials, onChange, onClose }) => {
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleSave = () => {
+    try {
+      const id = draft.id ?? nextMaterialId(materials);
+      const material = normalizeMaterial(draft, id);
+      const exists = materials.some(m => m.id === id);
+      onChange(exists ? materials.map(m => (m.id === id ? material : m)) : [...materials, material]);
+      setDraft(null);
+      setError(null);
+    } catch (saveError) {
+      setError(saveError.message);
+    }
+  };
+
+  const handleDelete = (id) => {
+    if (materials.length === 1) {
+      setError('The library needs at least one material');
+      return;
+    }
+    onChange(materials.filter(m => m.id !== id));
+    if (draft && draft.id === id) setDraft(null);
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+      onChange(importMaterials(await file.text(), file.name, materials));
+      setError(null);
+    } catch (importError) {
+      setError(`Import failed: ${importError.message}`);
+    }
+    event.target.value = '';
+  };
+
+  return (
+    <div className="library-panel">
+      <div className="viewer-toolbar">
+        <button type="button" className="toggle-button" onClick={() => setDraft(toDraft(EMPTY_MATERIAL))}>Add Grade</button>
+        <label className="toggle-button">
+          Import JSON/CSV
+          <input type="file" accept=".json,.csv" onChange={handleImport} style={{ display: 'none' }} />
+        </label>
+        <button type="button" className="toggle-button" onClick={() => downloadFile(materialsToJSON(materials), 'materials.json', 'application/json')}>Export JSON</button>
+        <button type="button" className="toggle-button" onClick={() => downloadFile(materialsToCSV(materials), 'materials.csv', 'text/csv')}>Export CSV</button>
+        <button type="button" className="toggle-button" onClick={onClose}>Close</button>
+      </div>
+
+      {error && <div className="warning-item" style={{ marginBottom: '0.75rem' }}>⚠️ {error}</div>}
+
+      <table className="quote-table">
+        <thead>
+          <tr>
+            <th>Grade</th>
+            <th>g/cm³</th>
+            <th>$/kg</th>
+            <th>Shrink</th>
+            <th>Regrind</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {materials.map(material => (
+            <tr key={material.id}>
+              <td>{material.name}</td>
+              <td>{material.density}</td>
+              <td>{material.costPerKg.toFixed(2)}</td>
+              <td>{material.shrinkage}%</td>
+              <td>{material.regrindAllowance}%</td>
+              <td>
+                <button type="button" className="link-button" onClick={() => setDraft(toDraft(material))}>Edit</button>
+                <button type="button" className="link-button" onClick={() => handleDelete(material.id)}>Delete</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {draft && (
+        <div className="library-form">
+          {MATERIAL_FIELDS.map(field => (
+            <div key={field.key} className="form-group">
+              <label>{field.label}</label>
+              <input
+                type={field.type === 'number' ? 'number' : 'text'}
+                step="any"
+                value={draft[field.key]}
+                placeholder={field.type === 'breaks' ? '1000:1.65|10000:1.52' : undefined}
+                onChange={(e) => setDraft(prev => ({ ...prev, [field.key]: e.target.value }))}
+              />
+            </div>
+          ))}
+          <div className="viewer-toolbar">
+            <button type="button" className="toggle-button active" onClick={handleSave}>Save Grade</button>
+            <button type="button" className="toggle-button" onClick={() => { setDraft(null); setError(null); }}>Cancel</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MaterialsLibrary;
@@ -0,0 +1,50 @@
+import React from 'react';
+
+const CHECKS = [
+  ['openEdges', 'Open Edges'],
+  ['nonManifoldEdges', 'Non-manifold Edges'],
+  ['inconsistentEdges', 'Winding Errors'],
+  ['degenerateTriangles', 'Degenerate Triangles'],
+  ['shells', 'Shells']
+];
+
+// Mesh integrity found before measuring, the repairs applied and how far the volume can be trusted
+const MeshHealthReport = ({ health }) => {
+  if (!health) return null;
+
+  return (
+    <div className="card" style={{ marginTop: '2rem' }}>
+      <h2>Mesh Health</h2>
+
+      <div className={`mesh-confidence ${health.confidence}`}>
+        Confidence: {health.summary}
+      </div>
+
+      <div className="results-grid" style={{ gridTemplateColumns: 'repeat(5, 1fr)' }}>
+        {CHECKS.map(([key, label]) => (
+          <div key={key} className="result-item">
+            <h3>{label}</h3>
+            <span className="value">{health[key].toLocaleString()}</span>
+          </div>
+        ))}
+      </div>
+
+      <p style={{ fontSize: '0.8rem', color: '#94a3b8', marginTop: '0.75rem' }}>
+        {health.triangles.toLocaleString()} triangles, {health.vertices.toLocaleString()} welded vertices,{' '}
+        {health.closedShells} of {health.shells} shell{health.shells === 1 ? '' : 's'} closed
+        {health.watertight ? ' — watertight after repair' : ''}
+      </p>
+
+      {health.repairs.map(repair => (
+        <div key={repair} className="mesh-repair">✓ {repair}</div>
+      ))}
+      {!health.watertight && (
+        <div className="warning-item">
+          ⚠️ {health.remainingOpenEdges.toLocaleString()} open and {health.remainingNonManifoldEdges.toLocaleString()} non-manifold edges remain — repair the model in CAD and re-export before quoting firm
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MeshHealthReport;
@@ -0,0 +1,221 @@
+import React, { useEffect, useRef } from 'react';
+import * as THREE from 'three';
+import { OrbitControls, CSS2DRenderer, CSS2DObject } from 'three-stdlib';
+import { MOLDABILITY_RULES } from '../utils/moldability';
+
+const BASE_COLOR = new THREE.Color('#94a3b8');
+const DRAFT_COLORS = {
+  critical: new THREE.Color('#ef4444'),
+  marginal: new THREE.Color('#f59e0b'),
+  adequate: new THREE.Color('#10b981')
+};
+const UNDERCUT_COLOR = new THREE.Color('#ef4444');
+
+// Overlays the viewer can draw, and the analysis field each one needs
+export const OVERLAYS = [
+  { id: 'none', name: 'Part', field: 'positions' },
+  { id: 'draft', name: 'Draft', field: 'draft' },
+  { id: 'thickness', name: 'Thickness', field: 'thickness' },
+  { id: 'undercut', name: 'Undercuts', field: 'parting' }
+];
+
+// Thin walls run red, nominal green, thick blue; faces without a measurement stay grey
+const thicknessColor = (thickness, stats, color) => {
+  if (Number.isNaN(thickness)) return color.copy(BASE_COLOR);
+  if (thickness <= stats.nominal) {
+    const t = THREE.MathUtils.clamp((thickness - stats.thinLimit) / (stats.nominal - stats.thinLimit), 0, 1);
+    return color.setHSL(t * 0.33, 0.8, 0.5);
+  }
+  const t = THREE.MathUtils.clamp((thickness - stats.nominal) / (stats.thickLimit - stats.nominal), 0, 1);
+  return color.setHSL(0.33 + t * 0.3, 0.8, 0.5);
+};
+
+// Per-vertex colours for the chosen overlay, or null for the plain part
+const overlayColors = (analysis, overlay) => {
+  if (overlay === 'draft' && analysis.draft) {
+    const { perFace } = analysis.draft;
+    return faceColors(perFace.length, face => {
+      if (perFace[face] < MOLDABILITY_RULES.criticalDraft) return DRAFT_COLORS.critical;
+      if (perFace[face] < MOLDABILITY_RULES.minimumDraft) return DRAFT_COLORS.marginal;
+      return DRAFT_COLORS.adequate;
+    });
+  }
+  if (overlay === 'thickness' && analysis.thickness) {
+    const { perFace } = analysis.thickness;
+    const color = new THREE.Color();
+    return faceColors(perFace.length, face => thicknessColor(perFace[face], analysis.thickness, color));
+  }
+  if (overlay === 'undercut' && analysis.parting) {
+    const { undercutFaces } = analysis.parting;
+    return faceColors(undercutFaces.length, face => (undercutFaces[face] ? UNDERCUT_COLOR : BASE_COLOR));
+  }
+  return null;
+};
+
+const faceColors = (faceCount, colorOf) => {
+  const colors = new Float32Array(faceCount * 9);
+  for (let face = 0; face < faceCount; face++) {
+    const color = colorOf(face);
+    for (let corner = 0; corner < 3; corner++) {
+      color.toArray(colors, face * 9 + corner * 3);
+    }
+  }
+  return colors;
+};
+
+const formatMM = (value) => `${value.toFixed(1)} mm`;
+
+// Bounding box outline with its length, width and height labelled at edge midpoints
+const createBoundingBox = (box, formatLength) => {
+  const group = new THREE.Group();
+  group.add(new THREE.Box3Helper(box, 0x3b82f6));
+
+  group.userData.labels = [];
+
+  const size = box.getSize(new THREE.Vector3());
+  const edges = [
+    { value: size.x, position: [(box.min.x + box.max.x) / 2, box.min.y, box.min.z] },
+    { value: size.y, position: [box.max.x, (box.min.y + box.max.y) / 2, box.min.z] },
+    { value: size.z, position: [box.max.x, box.min.y, (box.min.z + box.max.z) / 2] }
+  ];
+
+  edges.forEach(edge => {
+    const element = document.createElement('div');
+    element.className = 'dimension-label';
+    element.textContent = formatLength(edge.value);
+    group.userData.labels.push({ element, value: edge.value });
+    const label = new CSS2DObject(element);
+    label.position.set(...edge.position);
+    group.add(label);
+  });
+
+  return group;
+};
+
+// CSS2D labels ignore their parent's visibility, so toggle every node
+const setVisible = (object, visible) => {
+  object.traverse(child => {
+    child.visible = visible;
+  });
+};
+
+const PartViewer = ({ analysis, overlay = 'none', showBoundingBox = false, height = 360, formatLength = formatMM }) => {
+  const mountRef = useRef(null);
+  const meshRef = useRef(null);
+  const boundingBoxRef = useRef(null);
+
+  // Scene setup, once per uploaded part
+  useEffect(() => {
+    const mount = mountRef.current;
+    const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+    renderer.setPixelRatio(window.devicePixelRatio);
+    renderer.setSize(mount.clientWidth, height);
+    mount.appendChild(renderer.domElement);
+
+    const labelRenderer = new CSS2DRenderer();
+    labelRenderer.setSize(mount.clientWidth, height);
+    labelRenderer.domElement.className = 'part-viewer-labels';
+    mount.appendChild(labelRenderer.domElement);
+
+    const scene = new THREE.Scene();
+    scene.add(new THREE.HemisphereLight(0xffffff, 0x334155, 1.2));
+    const light = new THREE.DirectionalLight(0xffffff, 1.0);
+    scene.add(light);
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(analysis.positions, 3));
+    geometry.computeVertexNormals();
+    geometry.computeBoundingSphere();
+    const { center, radius } = geometry.boundingSphere;
+
+    const material = new THREE.MeshStandardMaterial({
+      color: BASE_COLOR,
+      side: THREE.DoubleSide,
+      metalness: 0.1,
+      roughness: 0.7
+    });
+    const mesh = new THREE.Mesh(geometry, material);
+    scene.add(mesh);
+    meshRef.current = mesh;
+
+    geometry.computeBoundingBox();
+    const boundingBox = createBoundingBox(geometry.boundingBox, formatLength);
+    setVisible(boundingBox, showBoundingBox);
+    scene.add(boundingBox);
+    boundingBoxRef.current = boundingBox;
+
+    const camera = new THREE.PerspectiveCamera(40, mount.clientWidth / height, radius / 100, radius * 100);
+    camera.position.copy(center).add(new THREE.Vector3(1, -1.2, 0.9).normalize().multiplyScalar(radius * 3));
+    camera.up.set(0, 0, 1);
+
+    const controls = new OrbitControls(camera, labelRenderer.domElement);
+    controls.target.copy(center);
+    controls.enableDamping = true;
+    controls.update();
+
+    let frame;
+    const animate = () => {
+      frame = requestAnimationFrame(animate);
+      controls.update();
+      light.position.copy(camera.position);
+      renderer.render(scene, camera);
+      labelRenderer.render(scene, camera);
+    };
+    animate();
+
+    const resizeObserver = new ResizeObserver(() => {
+      camera.aspect = mount.clientWidth / height;
+      camera.updateProjectionMatrix();
+      renderer.setSize(mount.clientWidth, height);
+      labelRenderer.setSize(mount.clientWidth, height);
+    });
+    resizeObserver.observe(mount);
+
+    return () => {
+      cancelAnimationFrame(frame);
+      resizeObserver.disconnect();
+      controls.dispose();
+      geometry.dispose();
+      material.dispose();
+      renderer.dispose();
+      mount.removeChild(renderer.domElement);
+      mount.removeChild(labelRenderer.domElement);
+      meshRef.current = null;
+      boundingBoxRef.current = null;
+    };
+  }, [analysis.positions, height]);
+
+  // Recolour without rebuilding the scene
+  useEffect(() => {
+    const mesh = meshRef.current;
+    if (!mesh) return;
+
+    const colors = overlayColors(analysis, overlay);
+    if (colors) {
+      mesh.geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+      mesh.material.vertexColors = true;
+      mesh.material.color.set(0xffffff);
+    } else {
+      mesh.geometry.deleteAttribute('color');
+      mesh.material.vertexColors = false;
+      mesh.material.color.copy(BASE_COLOR);
+    }
+    mesh.material.needsUpdate = true;
+  }, [analysis, overlay]);
+
+  useEffect(() => {
+    if (boundingBoxRef.current) setVisible(boundingBoxRef.current, showBoundingBox);
+  }, [showBoundingBox]);
+
+  // Relabel in the current display units without rebuilding the scene
+  useEffect(() => {
+    if (!boundingBoxRef.current) return;
+    boundingBoxRef.current.userData.labels.forEach(({ element, value }) => {
+      element.textContent = formatLength(value);
+    });
+  }, [formatLength]);
+
+  return <div ref={mountRef} className="part-viewer" style={{ height }} />;
+};
+
+export default PartViewer;
@@ -0,0 +1,49 @@
+import React, { useState } from 'react';
+import PartViewer, { OVERLAYS } from './PartViewer';
+
+const LEGENDS = {
+  draft: 'Red < 0.5° · Amber 0.5–1° · Green adequate draft',
+  thickness: 'Red thin · Green nominal · Blue thick · Grey not measured',
+  undercut: 'Red faces are hidden from both mold halves'
+};
+
+const PartViewerPanel = ({ analysis, formatLength }) => {
+  const [overlay, setOverlay] = useState('none');
+  const [showBoundingBox, setShowBoundingBox] = useState(true);
+
+  if (!analysis || !analysis.positions) return null;
+
+  const available = OVERLAYS.filter(option => analysis[option.field]);
+
+  return (
+    <div className="form-group">
+      <div className="viewer-toolbar">
+        {available.map(option => (
+          <button
+            key={option.id}
+            type="button"
+            className={`toggle-button${overlay === option.id ? ' active' : ''}`}
+            onClick={() => setOverlay(option.id)}
+          >
+            {option.name}
+          </button>
+        ))}
+        <button
+          type="button"
+          className={`toggle-button${showBoundingBox ? ' active' : ''}`}
+          onClick={() => setShowBoundingBox(prev => !prev)}
+        >
+          Bounding Box
+        </button>
+      </div>
+
+      <PartViewer analysis={analysis} overlay={overlay} showBoundingBox={showBoundingBox} formatLength={formatLength} />
+
+      <p style={{ fontSize: '0.8rem', color: '#94a3b8', marginTop: '0.5rem' }}>
+        {LEGENDS[overlay] || `${analysis.fileName} · drag to orbit, scroll to zoom`}
+      </p>
+    </div>
+  );
+};
+
+export default PartViewerPanel;
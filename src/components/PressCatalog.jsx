@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { PRESS_FIELDS, normalizePress, nextPressId } from '../utils/pressCatalog';
+import { downloadFile } from '../utils/download';
+
+const EMPTY_PRESS = {
+  name: 'New Press',
+  clampForce: 100,
+  hourlyRate: 75,
+  tieBarHorizontal: 400,
+  tieBarVertical: 400,
+  minMoldHeight: 180,
+  maxMoldHeight: 450,
+  platenWidth: 600,
+  platenHeight: 600,
+  shotSize: 200,
+  screwDiameter: 35,
+  available: true
+};
+
+const PressCatalog = ({ presses, onChange, onClose }) => {
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleSave = () => {
+    try {
+      const id = draft.id ?? nextPressId(presses);
+      const press = normalizePress(draft, id);
+      const exists = presses.some(p => p.id === id);
+      onChange(exists ? presses.map(p => (p.id === id ? press : p)) : [...presses, press]);
+      setDraft(null);
+      setError(null);
+    } catch (saveError) {
+      setError(saveError.message);
+    }
+  };
+
+  const handleDelete = (id) => {
+    onChange(presses.filter(p => p.id !== id));
+    if (draft && draft.id === id) setDraft(null);
+  };
+
+  const toggleAvailable = (id) => {
+    onChange(presses.map(p => (p.id === id ? { ...p, available: !p.available } : p)));
+  };
+
+  return (
+    <div className="library-panel">
+      <div className="viewer-toolbar">
+        <button type="button" className="toggle-button" onClick={() => setDraft({ ...EMPTY_PRESS })}>Add Press</button>
+        <button type="button" className="toggle-button" onClick={() => downloadFile(JSON.stringify(presses, null, 2), 'presses.json', 'application/json')}>Export for API Server</button>
+        <button type="button" className="toggle-button" onClick={onClose}>Close</button>
+      </div>
+
+      {error && <div className="warning-item" style={{ marginBottom: '0.75rem' }}>⚠️ {error}</div>}
+
+      <table className="quote-table">
+        <thead>
+          <tr>
+            <th>Press</th>
+            <th>Clamp</th>
+            <th>Tie Bars</th>
+            <th>Shot</th>
+            <th>Rate</th>
+            <th>Available</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {presses.map(press => (
+            <tr key={press.id}>
+              <td>{press.name}</td>
+              <td>{press.clampForce}T</td>
+              <td>{press.tieBarHorizontal}×{press.tieBarVertical}</td>
+              <td>{press.shotSize}g</td>
+              <td>${press.hourlyRate}/hr</td>
+              <td>
+                <input type="checkbox" checked={press.available} onChange={() => toggleAvailable(press.id)} />
+              </td>
+              <td>
+                <button type="button" className="link-button" onClick={() => setDraft({ ...press })}>Edit</button>
+                <button type="button" className="link-button" onClick={() => handleDelete(press.id)}>Delete</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {draft && (
+        <div className="library-form">
+          {PRESS_FIELDS.map(field => (
+            <div key={field.key} className="form-group">
+              <label>{field.label}</label>
+              {field.type === 'boolean' ? (
+                <input
+                  type="checkbox"
+                  checked={draft[field.key]}
+                  onChange={(e) => setDraft(prev => ({ ...prev, [field.key]: e.target.checked }))}
+                  style={{ width: 'auto' }}
+                />
+              ) : (
+                <input
+                  type={field.type === 'number' ? 'number' : 'text'}
+                  step="any"
+                  value={draft[field.key]}
+                  onChange={(e) => setDraft(prev => ({ ...prev, [field.key]: e.target.value }))}
+                />
+              )}
+            </div>
+          ))}
+          <div className="viewer-toolbar">
+            <button type="button" className="toggle-button active" onClick={handleSave}>Save Press</button>
+            <button type="button" className="toggle-button" onClick={() => { setDraft(null); setError(null); }}>Cancel</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PressCatalog;
@@ -0,0 +1,33 @@
+import React from 'react';
+
+const PressSelectionReport = ({ evaluations, selectedPress }) => (
+  <table className="quote-table press-table">
+    <thead>
+      <tr>
+        <th>Press</th>
+        <th>Verdict</th>
+      </tr>
+    </thead>
+    <tbody>
+      {evaluations.map(({ press, reasons, warnings }) => (
+        <tr key={press.id}>
+          <td>{press.name}</td>
+          <td>
+            {reasons.length === 0 ? (
+              <span className={selectedPress && selectedPress.id === press.id ? 'press-selected' : 'press-capable'}>
+                {selectedPress && selectedPress.id === press.id ? 'Selected' : 'Capable'}
+                {warnings.length > 0 ? ` — ${warnings.join('; ')}` : ''}
+              </span>
+            ) : (
+              <ul className="press-reasons">
+                {reasons.map(reason => <li key={reason}>{reason}</li>)}
+              </ul>
+            )}
+          </td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+export default PressSelectionReport;
@@ -0,0 +1,128 @@
+import React from 'react';
+import { LENGTH_UNITS } from '../utils/units';
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  analyzing: 'Analyzing…',
+  done: 'Analyzed',
+  error: 'Failed'
+};
+
+const money = (value, digits = 2) => `$${value.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits })}`;
+
+// Every part of an RFQ priced with its own resin, cavities and quantity per assembly
+const ProjectQuote = ({ parts, materials, orderQuantity, priceProjectPart, onPartChange, onRemove, onOpen, onClear }) => {
+  if (parts.length === 0) return null;
+
+  const priced = parts.map(part => ({
+    part,
+    quote: part.status === 'done' ? priceProjectPart(part) : null
+  }));
+  const quoted = priced.filter(({ quote }) => quote && !quote.pressError);
+  const finished = parts.filter(part => part.status === 'done' || part.status === 'error').length;
+
+  const totals = quoted.reduce((sum, { part, quote }) => ({
+    tooling: sum.tooling + quote.toolingCost,
+    piecePerAssembly: sum.piecePerAssembly + quote.totalCostPerPart * part.perAssembly,
+    order: sum.order + quote.landedCostPerPart * orderQuantity * part.perAssembly
+  }), { tooling: 0, piecePerAssembly: 0, order: 0 });
+
+  return (
+    <div className="card" style={{ marginTop: '2rem' }}>
+      <h2>Project Quote</h2>
+      <p className="project-status" style={{ marginBottom: '0.75rem' }}>
+        {finished} of {parts.length} file{parts.length === 1 ? '' : 's'} analyzed · {orderQuantity.toLocaleString()} assemblies
+      </p>
+
+      <table className="quote-table">
+        <thead>
+          <tr>
+            <th>Part</th>
+            <th>Resin</th>
+            <th>Cavities</th>
+            <th>Qty/Assy</th>
+            <th>Piece</th>
+            <th>Tooling</th>
+            <th>Order Total</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {priced.map(({ part, quote }) => (
+            <tr key={part.id}>
+              <td>
+                {part.fileName}
+                <div className={`project-status${part.status === 'error' ? ' error' : ''}`}>
+                  {part.status === 'error' ? part.error : STATUS_LABELS[part.status]}
+                  {part.status === 'analyzing' && part.progress != null ? ` ${Math.round(part.progress * 100)}%` : ''}
+                  {quote && quote.pressError ? ` · ${quote.pressError}` : ''}
+                  {part.analysis && part.analysis.meshHealth && part.analysis.meshHealth.confidence === 'low' ? ' · low mesh confidence' : ''}
+                  {part.analysis && part.analysis.units && part.analysis.units.ambiguous ? ' · units guessed, check' : ''}
+                </div>
+                {part.file && part.analysis && part.analysis.units && (
+                  <select
+                    value={part.analysis.units.source}
+                    title="Units the file was drawn in"
+                    onChange={(e) => onPartChange(part.id, { units: e.target.value, status: 'queued' })}
+                  >
+                    {LENGTH_UNITS.map(unit => <option key={unit.id} value={unit.id}>{unit.id}</option>)}
+                  </select>
+                )}
+              </td>
+              <td>
+                <select value={part.resin} onChange={(e) => onPartChange(part.id, { resin: parseInt(e.target.value) })}>
+                  {materials.map(material => <option key={material.id} value={material.id}>{material.name}</option>)}
+                </select>
+              </td>
+              <td>
+                <input
+                  type="number"
+                  min="1"
+                  step="1"
+                  value={part.cavities}
+                  onChange={(e) => onPartChange(part.id, { cavities: Math.max(1, parseInt(e.target.value) || 1) })}
+                  style={{ width: '4rem' }}
+                />
+              </td>
+              <td>
+                <input
+                  type="number"
+                  min="1"
+                  step="1"
+                  value={part.perAssembly}
+                  onChange={(e) => onPartChange(part.id, { perAssembly: Math.max(1, parseInt(e.target.value) || 1) })}
+                  style={{ width: '4rem' }}
+                />
+              </td>
+              <td>{quote && !quote.pressError ? money(quote.totalCostPerPart, 4) : '—'}</td>
+              <td>{quote && !quote.pressError ? money(quote.toolingCost, 0) : '—'}</td>
+              <td>{quote && !quote.pressError ? money(quote.landedCostPerPart * orderQuantity * part.perAssembly) : '—'}</td>
+              <td>
+                {part.status === 'done' && (
+                  <button type="button" className="link-button" onClick={() => onOpen(part)}>Open</button>
+                )}
+                <button type="button" className="link-button" onClick={() => onRemove(part.id)}>Remove</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr>
+            <td colSpan={4}>RFQ Total ({quoted.length} of {parts.length} parts priced)</td>
+            <td>{money(totals.piecePerAssembly, 4)}</td>
+            <td>{money(totals.tooling, 0)}</td>
+            <td>{money(totals.order)}</td>
+            <td />
+          </tr>
+        </tfoot>
+      </table>
+      <p style={{ fontSize: '0.8rem', color: '#94a3b8', marginTop: '0.5rem' }}>
+        Piece total is per assembly. Order total includes tooling amortization and setup; steel, color, run size, finish, texture, tolerance and secondary operations follow the main quote settings.
+      </p>
+
+      <button type="button" className="toggle-button" style={{ marginTop: '0.75rem' }} onClick={onClear}>Clear Project</button>
+    </div>
+  );
+};
+
+export default ProjectQuote;
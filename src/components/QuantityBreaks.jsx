@@ -0,0 +1,155 @@
+import React, { useMemo } from 'react';
+
+const LINE_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#a855f7', '#06b6d4'];
+const CHART = { width: 560, height: 260, padding: { top: 16, right: 16, bottom: 36, left: 64 }, points: 32 };
+
+// Only quotes with a press that can run them carry a price
+const isPriced = (quote) => quote && !quote.pressError;
+
+// Cheapest cavity count at a volume, skipping molds no press in the shop can run
+const recommend = (prices) => prices
+  .filter(price => isPriced(price.quote))
+  .reduce((best, price) => (!best || price.quote.landedCostPerPart < best.quote.landedCostPerPart ? price : best), null);
+
+const CostChart = ({ quantities, cavityOptions, priceAt }) => {
+  const series = useMemo(() => {
+    const low = Math.log10(Math.max(1, quantities[0] / 2));
+    const high = Math.log10(quantities[quantities.length - 1] * 2);
+    const samples = Array.from({ length: CHART.points }, (_, i) => Math.round(10 ** (low + (high - low) * i / (CHART.points - 1))));
+
+    return cavityOptions.map(cavityCount => ({
+      cavityCount,
+      points: samples.map(quantity => {
+        const quote = priceAt(quantity, cavityCount);
+        return { quantity, cost: isPriced(quote) ? quote.landedCostPerPart : NaN };
+      })
+    }));
+  }, [quantities, cavityOptions, priceAt]);
+
+  const all = series.flatMap(line => line.points).filter(point => Number.isFinite(point.cost));
+  if (all.length === 0) return null;
+
+  const { width, height, padding } = CHART;
+  const minX = Math.log10(all[0].quantity);
+  const maxX = Math.log10(all[all.length - 1].quantity);
+  // Low volumes are dominated by tooling, so cap the axis to keep high-volume differences readable
+  const maxCost = Math.min(Math.max(...all.map(point => point.cost)), Math.min(...all.map(point => point.cost)) * 20);
+  const x = (quantity) => padding.left + (Math.log10(quantity) - minX) / (maxX - minX || 1) * (width - padding.left - padding.right);
+  const y = (cost) => padding.top + (1 - Math.min(cost, maxCost) / maxCost) * (height - padding.top - padding.bottom);
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="cost-chart">
+      {[0, 0.25, 0.5, 0.75, 1].map(fraction => (
+        <g key={fraction}>
+          <line x1={padding.left} x2={width - padding.right} y1={y(maxCost * fraction)} y2={y(maxCost * fraction)} className="grid" />
+          <text x={padding.left - 6} y={y(maxCost * fraction) + 4} textAnchor="end">${(maxCost * fraction).toFixed(2)}</text>
+        </g>
+      ))}
+      {quantities.map(quantity => (
+        <text key={quantity} x={x(quantity)} y={height - 12} textAnchor="middle">{quantity.toLocaleString()}</text>
+      ))}
+      {series.map((line, index) => (
+        <polyline
+          key={line.cavityCount}
+          fill="none"
+          stroke={LINE_COLORS[index % LINE_COLORS.length]}
+          strokeWidth="2"
+          points={line.points.filter(point => Number.isFinite(point.cost)).map(point => `${x(point.quantity)},${y(point.cost)}`).join(' ')}
+        />
+      ))}
+    </svg>
+  );
+};
+
+// What each secondary operation adds per part at every volume, at the quoted cavity count
+const OperationBreaks = ({ quantities, cavities, priceAt }) => {
+  const quotes = useMemo(() => quantities.map(quantity => priceAt(quantity, cavities)), [quantities, cavities, priceAt]);
+  const priced = quotes.find(isPriced);
+  if (!priced || priced.secondaryOperations.length === 0) return null;
+
+  return (
+    <table className="quote-table" style={{ marginTop: '1rem' }}>
+      <thead>
+        <tr>
+          <th>Secondary Operation ({cavities}-cav)</th>
+          {quantities.map(quantity => <th key={quantity}>{quantity.toLocaleString()}</th>)}
+        </tr>
+      </thead>
+      <tbody>
+        {priced.secondaryOperations.map((operation, index) => (
+          <tr key={operation.id}>
+            <td>{operation.name}{operation.count > 1 ? ` ×${operation.count}` : ''}</td>
+            {quotes.map((quote, column) => (
+              <td key={quantities[column]}>{isPriced(quote) ? `$${quote.secondaryOperations[index].costPerPart.toFixed(4)}` : '—'}</td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+const QuantityBreaks = ({ quantities, cavityOptions, cavities, priceAt }) => {
+  const rows = useMemo(() => quantities.map(quantity => {
+    const prices = cavityOptions.map(cavityCount => ({ cavityCount, quote: priceAt(quantity, cavityCount) }));
+    return { quantity, prices, best: recommend(prices), quoted: priceAt(quantity, cavities) };
+  }), [quantities, cavityOptions, cavities, priceAt]);
+
+  if (quantities.length === 0) return null;
+
+  return (
+    <div className="card" style={{ marginTop: '2rem' }}>
+      <h2>Quantity Breaks</h2>
+
+      <table className="quote-table">
+        <thead>
+          <tr>
+            <th>Quantity</th>
+            {cavityOptions.map(cavityCount => <th key={cavityCount}>{cavityCount}-cav</th>)}
+            <th>Recommended</th>
+            <th>Quoted Part Price ({cavities}-cav)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.quantity}>
+              <td>{row.quantity.toLocaleString()}</td>
+              {row.prices.map(price => (
+                <td
+                  key={price.cavityCount}
+                  className={row.best && row.best.cavityCount === price.cavityCount ? 'best' : ''}
+                  title={price.quote && price.quote.pressError
+                    ? price.quote.pressError
+                    : isPriced(price.quote) ? `Part price $${price.quote.partPrice.toFixed(4)} + $${price.quote.toolingCost.toFixed(0)} tooling billed once` : undefined}
+                >
+                  {isPriced(price.quote) ? `$${price.quote.landedCostPerPart.toFixed(4)}` : '—'}
+                  {price.quote && price.quote.pressError ? ' *' : ''}
+                </td>
+              ))}
+              <td>{row.best ? `${row.best.cavityCount}-cav · $${(row.best.quote.landedCostPerPart * row.quantity).toFixed(0)} total` : '—'}</td>
+              <td>{isPriced(row.quoted) ? `$${row.quoted.partPrice.toFixed(4)}` : '—'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p style={{ fontSize: '0.8rem', color: '#94a3b8', marginTop: '0.5rem' }}>
+        Landed cost per part including tooling amortization, setup and secondary operations. The quoted part price is what the
+        customer PDF lists, with SG&A and margin on everything but the tooling, which is billed once. * no press in the catalog can run this mold.
+      </p>
+
+      <OperationBreaks quantities={quantities} cavities={cavities} priceAt={priceAt} />
+
+      <CostChart quantities={quantities} cavityOptions={cavityOptions} priceAt={priceAt} />
+      <div className="chart-legend">
+        {cavityOptions.map((cavityCount, index) => (
+          <span key={cavityCount}>
+            <i style={{ background: LINE_COLORS[index % LINE_COLORS.length] }} />
+            {cavityCount} {cavityCount === 1 ? 'cavity' : 'cavities'}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default QuantityBreaks;
@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+import { buildQuotePdf, generateQuoteNumber, QUOTE_VALIDITY_DAYS } from '../utils/quotePdf';
+import { renderPartThumbnail } from '../utils/partThumbnail';
+
+const QuotePdfExport = ({ customer, partNumber, inputs, results, analysis, quantityRows, rules }) => {
+  const [quoteNumber, setQuoteNumber] = useState(() => generateQuoteNumber());
+  const [validityDays, setValidityDays] = useState(QUOTE_VALIDITY_DAYS);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleExport = async (variant) => {
+    setBusy(true);
+    try {
+      const doc = await buildQuotePdf({
+        variant,
+        quoteNumber,
+        customer,
+        partNumber,
+        fileName: analysis ? analysis.fileName : null,
+        validityDays,
+        inputs,
+        results,
+        quantityRows,
+        rules,
+        thumbnail: analysis ? renderPartThumbnail(analysis.positions) : null
+      });
+      doc.save(`${quoteNumber}${variant === 'internal' ? '-internal' : ''}.pdf`);
+      setError(null);
+    } catch (exportError) {
+      setError(`PDF export failed: ${exportError.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="card" style={{ marginTop: '2rem' }}>
+      <h2>Quote Document</h2>
+      <div className="dimensions-grid" style={{ gridTemplateColumns: '1fr 1fr' }}>
+        <div className="form-group">
+          <label>Quote Number</label>
+          <input type="text" value={quoteNumber} onChange={(e) => setQuoteNumber(e.target.value)} />
+        </div>
+        <div className="form-group">
+          <label>Valid For (days)</label>
+          <input
+            type="number"
+            min="1"
+            value={validityDays}
+            onChange={(e) => setValidityDays(parseInt(e.target.value) || QUOTE_VALIDITY_DAYS)}
+          />
+        </div>
+      </div>
+
+      {error && <div className="warning-item" style={{ marginBottom: '0.75rem' }}>⚠️ {error}</div>}
+
+      <div className="viewer-toolbar">
+        <button type="button" className="toggle-button active" disabled={busy} onClick={() => handleExport('customer')}>
+          Customer PDF
+        </button>
+        <button type="button" className="toggle-button" disabled={busy} onClick={() => handleExport('internal')}>
+          Internal PDF (with cost breakdown)
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default QuotePdfExport;
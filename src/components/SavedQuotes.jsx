@@ -0,0 +1,206 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { saveRevision, listRevisions, loadRevision, deleteRevision, diffRevisions } from '../utils/quoteStore';
+
+const formatValue = (value, digits) => {
+  if (value == null) return '—';
+  if (typeof value === 'number') return digits === undefined ? value.toLocaleString() : value.toFixed(digits);
+  return String(value);
+};
+
+const revisionLabel = (revision) => `${revision.customer} / ${revision.partNumber} rev ${revision.revision}`;
+
+const RevisionDiff = ({ before, after }) => {
+  const diff = diffRevisions(before, after);
+
+  return (
+    <div className="breakdown">
+      <h3>{revisionLabel(before)} → rev {after.revision}</h3>
+      {diff.inputs.length === 0 ? (
+        <p style={{ fontSize: '0.85rem', color: '#94a3b8' }}>No inputs changed.</p>
+      ) : (
+        <table className="quote-table">
+          <thead>
+            <tr>
+              <th>Input</th>
+              <th>Before</th>
+              <th>After</th>
+            </tr>
+          </thead>
+          <tbody>
+            {diff.inputs.map(row => (
+              <tr key={row.label}>
+                <td>{row.label}</td>
+                <td>{formatValue(row.before)}</td>
+                <td>{formatValue(row.after)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <table className="quote-table" style={{ marginTop: '1rem' }}>
+        <thead>
+          <tr>
+            <th>Cost Line</th>
+            <th>Before</th>
+            <th>After</th>
+            <th>Change</th>
+          </tr>
+        </thead>
+        <tbody>
+          {diff.costs.map(row => (
+            <tr key={row.label}>
+              <td>{row.label}</td>
+              <td>{formatValue(row.before, row.digits)}</td>
+              <td>{formatValue(row.after, row.digits)}</td>
+              <td className={row.change > 0 ? 'cost-up' : row.change < 0 ? 'cost-down' : ''}>
+                {row.change == null ? '—' : `${row.change > 0 ? '+' : ''}${row.change.toFixed(row.digits)}`}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+const SavedQuotes = ({ customer, partNumber, onReferenceChange, inputs, analysis, results, onOpen }) => {
+  const [note, setNote] = useState('');
+  const [revisions, setRevisions] = useState([]);
+  const [compare, setCompare] = useState({ before: '', after: '' });
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setRevisions(await listRevisions());
+    } catch (listError) {
+      setError(`Could not read saved quotes: ${listError.message}`);
+    }
+  }, []);
+
+  useEffect(() => { refresh(); }, [refresh]);
+
+  const handleSave = async () => {
+    try {
+      const saved = await saveRevision({ customer, partNumber, note, analysis, inputs, results });
+      setNote('');
+      setError(null);
+      await refresh();
+      setCompare(prev => ({ before: prev.after || '', after: String(saved.id) }));
+    } catch (saveError) {
+      setError(saveError.message);
+    }
+  };
+
+  const handleOpen = async (id) => {
+    try {
+      const record = await loadRevision(id);
+      onReferenceChange({ customer: record.customer, partNumber: record.partNumber });
+      setError(null);
+      onOpen(record);
+    } catch (openError) {
+      setError(`Could not open quote: ${openError.message}`);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteRevision(id);
+      setCompare(prev => ({
+        before: prev.before === String(id) ? '' : prev.before,
+        after: prev.after === String(id) ? '' : prev.after
+      }));
+      setError(null);
+      await refresh();
+    } catch (deleteError) {
+      setError(`Could not delete quote: ${deleteError.message}`);
+    }
+  };
+
+  // Revisions of the same part sit together, latest revision first
+  const groups = useMemo(() => {
+    const byKey = new Map();
+    revisions.forEach(revision => {
+      if (!byKey.has(revision.quoteKey)) byKey.set(revision.quoteKey, []);
+      byKey.get(revision.quoteKey).push(revision);
+    });
+    return [...byKey.values()].map(group => group.sort((a, b) => b.revision - a.revision));
+  }, [revisions]);
+
+  const before = revisions.find(r => String(r.id) === compare.before);
+  const after = revisions.find(r => String(r.id) === compare.after);
+
+  return (
+    <div className="card" style={{ marginTop: '2rem' }}>
+      <h2>Saved Quotes</h2>
+
+      <div className="dimensions-grid">
+        <div className="form-group">
+          <label>Customer</label>
+          <input type="text" value={customer} onChange={(e) => onReferenceChange({ customer: e.target.value, partNumber })} />
+        </div>
+        <div className="form-group">
+          <label>Part Number</label>
+          <input type="text" value={partNumber} onChange={(e) => onReferenceChange({ customer, partNumber: e.target.value })} />
+        </div>
+        <div className="form-group">
+          <label>Revision Note</label>
+          <input type="text" value={note} onChange={(e) => setNote(e.target.value)} />
+        </div>
+      </div>
+      <button type="button" className="toggle-button active" onClick={handleSave}>Save Revision</button>
+
+      {error && <div className="warning-item" style={{ marginTop: '0.75rem' }}>⚠️ {error}</div>}
+
+      {groups.length > 0 && (
+        <table className="quote-table" style={{ marginTop: '1rem' }}>
+          <thead>
+            <tr>
+              <th>Quote</th>
+              <th>Saved</th>
+              <th>Landed</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {groups.flat().map(revision => (
+              <tr key={revision.id}>
+                <td title={revision.note || undefined}>
+                  {revisionLabel(revision)}
+                  {revision.partFile ? ` · ${revision.partFile.name}` : ''}
+                  {revision.results && revision.results.settingsVersion ? ` · settings v${revision.results.settingsVersion}` : ''}
+                </td>
+                <td>{new Date(revision.savedAt).toLocaleString()}</td>
+                <td>{formatValue(revision.results && revision.results.landedCostPerPart, 4)}</td>
+                <td>
+                  <button type="button" className="link-button" onClick={() => handleOpen(revision.id)}>Open</button>
+                  <button type="button" className="link-button" onClick={() => handleDelete(revision.id)}>Delete</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {revisions.length > 1 && (
+        <div className="dimensions-grid" style={{ gridTemplateColumns: '1fr 1fr', marginTop: '1rem' }}>
+          {['before', 'after'].map(side => (
+            <div key={side} className="form-group">
+              <label>{side === 'before' ? 'Compare' : 'With'}</label>
+              <select value={compare[side]} onChange={(e) => setCompare(prev => ({ ...prev, [side]: e.target.value }))}>
+                <option value="">Select revision</option>
+                {groups.flat().map(revision => (
+                  <option key={revision.id} value={revision.id}>{revisionLabel(revision)}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {before && after && <RevisionDiff before={before} after={after} />}
+    </div>
+  );
+};
+
+export default SavedQuotes;
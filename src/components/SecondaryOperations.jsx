@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import { OPERATION_FIELDS, normalizeOperation, nextOperationId } from '../utils/secondaryOperations';
+import { downloadFile } from '../utils/download';
+
+const EMPTY_OPERATION = {
+  name: 'New Operation',
+  setupCost: 100,
+  secondsPerPart: 5,
+  laborRate: 30,
+  materialPerPart: 0
+};
+
+const SecondaryOperations = ({ operations, selected, onSelectedChange, onCatalogChange }) => {
+  const [showCatalog, setShowCatalog] = useState(false);
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState(null);
+
+  const selectionOf = (id) => selected.find(s => s.id === id);
+
+  const toggleOperation = (id) => {
+    onSelectedChange(selectionOf(id) ? selected.filter(s => s.id !== id) : [...selected, { id, count: 1 }]);
+  };
+
+  const setCount = (id, value) => {
+    const count = Math.max(1, parseInt(value) || 1);
+    onSelectedChange(selected.map(s => (s.id === id ? { ...s, count } : s)));
+  };
+
+  const handleSave = () => {
+    try {
+      const id = draft.id ?? nextOperationId(operations);
+      const operation = normalizeOperation(draft, id);
+      const exists = operations.some(o => o.id === id);
+      onCatalogChange(exists ? operations.map(o => (o.id === id ? operation : o)) : [...operations, operation]);
+      setDraft(null);
+      setError(null);
+    } catch (saveError) {
+      setError(saveError.message);
+    }
+  };
+
+  const handleDelete = (id) => {
+    onCatalogChange(operations.filter(o => o.id !== id));
+    if (draft && draft.id === id) setDraft(null);
+  };
+
+  return (
+    <>
+      {operations.map(operation => (
+        <div key={operation.id} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '0.35rem' }}>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', flex: 1, margin: 0 }}>
+            <input
+              type="checkbox"
+              checked={Boolean(selectionOf(operation.id))}
+              onChange={() => toggleOperation(operation.id)}
+              style={{ width: 'auto' }}
+            />
+            {operation.name}
+          </label>
+          {selectionOf(operation.id) && (
+            <input
+              type="number"
+              min="1"
+              step="1"
+              title="Times per part"
+              value={selectionOf(operation.id).count}
+              onChange={(e) => setCount(operation.id, e.target.value)}
+              style={{ width: '4.5rem' }}
+            />
+          )}
+        </div>
+      ))}
+
+      <button type="button" className="toggle-button" onClick={() => setShowCatalog(prev => !prev)}>
+        {showCatalog ? 'Hide Operations Catalog' : 'Manage Operations Catalog'}
+      </button>
+
+      {showCatalog && (
+        <div className="library-panel">
+          <div className="viewer-toolbar">
+            <button type="button" className="toggle-button" onClick={() => setDraft({ ...EMPTY_OPERATION })}>Add Operation</button>
+            <button type="button" className="toggle-button" onClick={() => downloadFile(JSON.stringify(operations, null, 2), 'secondary-operations.json', 'application/json')}>Export for API Server</button>
+            <button type="button" className="toggle-button" onClick={() => setShowCatalog(false)}>Close</button>
+          </div>
+
+          {error && <div className="warning-item" style={{ marginBottom: '0.75rem' }}>⚠️ {error}</div>}
+
+          <table className="quote-table">
+            <thead>
+              <tr>
+                <th>Operation</th>
+                <th>Setup</th>
+                <th>Time</th>
+                <th>Labor</th>
+                <th>Material</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {operations.map(operation => (
+                <tr key={operation.id}>
+                  <td>{operation.name}</td>
+                  <td>${operation.setupCost}/run</td>
+                  <td>{operation.secondsPerPart}s</td>
+                  <td>${operation.laborRate}/hr</td>
+                  <td>${operation.materialPerPart.toFixed(2)}</td>
+                  <td>
+                    <button type="button" className="link-button" onClick={() => setDraft({ ...operation })}>Edit</button>
+                    <button type="button" className="link-button" onClick={() => handleDelete(operation.id)}>Delete</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {draft && (
+            <div className="library-form">
+              {OPERATION_FIELDS.map(field => (
+                <div key={field.key} className="form-group">
+                  <label>{field.label}</label>
+                  <input
+                    type={field.type === 'number' ? 'number' : 'text'}
+                    step="any"
+                    value={draft[field.key]}
+                    onChange={(e) => setDraft(prev => ({ ...prev, [field.key]: e.target.value }))}
+                  />
+                </div>
+              ))}
+              <div className="viewer-toolbar">
+                <button type="button" className="toggle-button active" onClick={handleSave}>Save Operation</button>
+                <button type="button" className="toggle-button" onClick={() => { setDraft(null); setError(null); }}>Cancel</button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </>
+  );
+};
+
+export default SecondaryOperations;
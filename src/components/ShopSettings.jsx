@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import { DEFAULT_SHOP_SETTINGS } from '../utils/quoteEngine';
+import { SETTINGS_GROUPS, loadSettingsHistory, normalizeShopSettings, shopSettingsDraft, settingsLabel } from '../utils/shopSettings';
+import { downloadFile } from '../utils/download';
+
+const ShopSettings = ({ settings, onSave, onClose }) => {
+  const [draft, setDraft] = useState(() => shopSettingsDraft({ ...DEFAULT_SHOP_SETTINGS.values, ...settings.values }));
+  const [history, setHistory] = useState(loadSettingsHistory);
+  const [error, setError] = useState(null);
+
+  const handleSave = () => {
+    try {
+      onSave(normalizeShopSettings(draft));
+      setHistory(loadSettingsHistory());
+      setError(null);
+    } catch (saveError) {
+      setError(saveError.message);
+    }
+  };
+
+  const loadIntoForm = (values) => {
+    setDraft(shopSettingsDraft({ ...DEFAULT_SHOP_SETTINGS.values, ...values }));
+    setError(null);
+  };
+
+  // The API server prices ERP requests with this file when it sits next to server.js
+  const handleExport = () => {
+    downloadFile(JSON.stringify(settings, null, 2), 'shop-settings.json', 'application/json');
+  };
+
+  return (
+    <div className="library-panel">
+      <div className="viewer-toolbar">
+        <button type="button" className="toggle-button" onClick={() => loadIntoForm(DEFAULT_SHOP_SETTINGS.values)}>Reset to Defaults</button>
+        <button type="button" className="toggle-button" onClick={handleExport}>Export for API Server</button>
+        <button type="button" className="toggle-button" onClick={onClose}>Close</button>
+      </div>
+
+      <p style={{ fontSize: '0.85rem', color: '#94a3b8', marginBottom: '0.75rem' }}>
+        Quotes are priced with {settingsLabel(settings)}. Saving creates a new version; machine hourly rates are set per press in the Press Catalog.
+      </p>
+
+      {error && <div className="warning-item" style={{ marginBottom: '0.75rem' }}>⚠️ {error}</div>}
+
+      {SETTINGS_GROUPS.map(group => (
+        <div key={group.title} className="breakdown" style={{ marginTop: '1rem' }}>
+          <h3>{group.title}</h3>
+          <div className="library-form" style={{ marginTop: 0 }}>
+            {group.fields.map(field => (
+              <div key={field.key} className="form-group">
+                <label>{field.label}</label>
+                {field.options ? (
+                  <select value={draft[field.key]} onChange={(e) => setDraft(prev => ({ ...prev, [field.key]: e.target.value }))}>
+                    {field.options.map(option => <option key={option.id} value={option.id}>{option.name}</option>)}
+                  </select>
+                ) : (
+                  <input
+                    type="number"
+                    step="any"
+                    min="0"
+                    value={draft[field.key]}
+                    onChange={(e) => setDraft(prev => ({ ...prev, [field.key]: e.target.value }))}
+                  />
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+
+      <div className="viewer-toolbar">
+        <button type="button" className="toggle-button active" onClick={handleSave}>Save as Version {history.length > 0 ? Math.max(...history.map(h => h.version)) + 1 : 1}</button>
+      </div>
+
+      {history.length > 0 && (
+        <table className="quote-table" style={{ marginTop: '1rem' }}>
+          <thead>
+            <tr>
+              <th>Version</th>
+              <th>Saved</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {history.map(record => (
+              <tr key={record.version}>
+                <td>v{record.version}{record.version === settings.version ? ' (in use)' : ''}</td>
+                <td>{new Date(record.savedAt).toLocaleString()}</td>
+                <td>
+                  <button type="button" className="link-button" onClick={() => loadIntoForm(record.values)}>Load into Form</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default ShopSettings;
@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { SURFACE_SPEC_KINDS, SURFACE_SPEC_FIELDS, DEFAULT_SURFACE_SPECS, validateSurfaceSpec } from '../utils/surfaceSpecs';
+import { downloadFile } from '../utils/download';
+
+// Fractions shown as percentages while editing
+const toDraft = (catalog) => Object.fromEntries(SURFACE_SPEC_KINDS.map(({ id }) => [id, catalog[id].map(spec => ({
+  ...spec,
+  ...Object.fromEntries(SURFACE_SPEC_FIELDS.map(({ key }) => [key, String(+(spec[key] * 100).toFixed(4))]))
+}))]));
+
+const fromDraft = (draft) => Object.fromEntries(SURFACE_SPEC_KINDS.map(({ id }) => [id, draft[id].map(row => {
+  const spec = { ...row, ...Object.fromEntries(SURFACE_SPEC_FIELDS.map(({ key }) => [key, (parseFloat(row[key]) || 0) / 100])) };
+  validateSurfaceSpec(spec);
+  return spec;
+})]));
+
+const SurfaceSpecs = ({ specs, onSave, onClose }) => {
+  const [draft, setDraft] = useState(() => toDraft(specs));
+  const [error, setError] = useState(null);
+
+  const setField = (kind, id, key, value) => {
+    setDraft(prev => ({ ...prev, [kind]: prev[kind].map(spec => (spec.id === id ? { ...spec, [key]: value } : spec)) }));
+  };
+
+  const handleSave = () => {
+    try {
+      onSave(fromDraft(draft));
+      setError(null);
+    } catch (saveError) {
+      setError(saveError.message);
+    }
+  };
+
+  return (
+    <div className="library-panel">
+      <div className="viewer-toolbar">
+        <button type="button" className="toggle-button" onClick={() => setDraft(toDraft(DEFAULT_SURFACE_SPECS))}>Reset to Defaults</button>
+        <button type="button" className="toggle-button" onClick={() => downloadFile(JSON.stringify(specs, null, 2), 'surface-specs.json', 'application/json')}>Export for API Server</button>
+        <button type="button" className="toggle-button" onClick={onClose}>Close</button>
+      </div>
+
+      {error && <div className="warning-item" style={{ marginBottom: '0.75rem' }}>⚠️ {error}</div>}
+
+      {SURFACE_SPEC_KINDS.map(kind => (
+        <table key={kind.id} className="quote-table" style={{ marginBottom: '1rem' }}>
+          <thead>
+            <tr>
+              <th>{kind.name}</th>
+              {SURFACE_SPEC_FIELDS.map(field => <th key={field.key}>{field.label}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {draft[kind.id].map(spec => (
+              <tr key={spec.id}>
+                <td>{spec.name}</td>
+                {SURFACE_SPEC_FIELDS.map(field => (
+                  <td key={field.key}>
+                    <input
+                      type="number"
+                      step="any"
+                      min="0"
+                      value={spec[field.key]}
+                      onChange={(e) => setField(kind.id, spec.id, field.key, e.target.value)}
+                      style={{ width: '5rem' }}
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ))}
+
+      <div className="viewer-toolbar">
+        <button type="button" className="toggle-button active" onClick={handleSave}>Save Cost Effects</button>
+      </div>
+    </div>
+  );
+};
+
+export default SurfaceSpecs;
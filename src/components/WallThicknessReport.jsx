@@ -0,0 +1,59 @@
+import React from 'react';
+
+const WallThicknessReport = ({ thickness, units }) => {
+  if (!thickness) return null;
+
+  const peak = Math.max(...thickness.histogram.map(bin => bin.percent), 1);
+
+  return (
+    <div className="card" style={{ marginTop: '2rem' }}>
+      <h2>Wall Thickness</h2>
+
+      <div className="results-grid" style={{ gridTemplateColumns: '1fr 1fr 1fr', marginTop: 0 }}>
+        <div className="result-item">
+          <h3>Minimum</h3>
+          <span className="value">{units.value('length', thickness.min, 2)}</span>
+          <span className="unit">{units.unit('length')}</span>
+        </div>
+        <div className="result-item">
+          <h3>Nominal</h3>
+          <span className="value">{units.value('length', thickness.nominal, 2)}</span>
+          <span className="unit">{units.unit('length')}</span>
+        </div>
+        <div className="result-item">
+          <h3>Maximum</h3>
+          <span className="value">{units.value('length', thickness.max, 2)}</span>
+          <span className="unit">{units.unit('length')}</span>
+        </div>
+      </div>
+
+      <div className="histogram">
+        {thickness.histogram.map(bin => (
+          <div
+            key={bin.from}
+            className={`histogram-bar${bin.to <= thickness.thinLimit ? ' thin' : ''}${bin.from >= thickness.thickLimit ? ' thick' : ''}`}
+            style={{ height: `${(bin.percent / peak) * 100}%` }}
+            title={`${units.value('length', bin.from, 2)}–${units.format('length', bin.to, 2)}: ${bin.percent.toFixed(1)}% of area`}
+          />
+        ))}
+      </div>
+      <div className="histogram-axis">
+        <span>0 {units.unit('length')}</span>
+        <span>{units.format('length', thickness.histogram[thickness.histogram.length - 1].to, 1)}</span>
+      </div>
+
+      {thickness.thinAreaPercent > 0 && (
+        <div className="warning-item">
+          ⚠️ {thickness.thinAreaPercent.toFixed(1)}% of the surface is thinner than {units.format('length', thickness.thinLimit, 2)} — risk of short shots
+        </div>
+      )}
+      {thickness.thickAreaPercent > 0 && (
+        <div className="warning-item">
+          ⚠️ {thickness.thickAreaPercent.toFixed(1)}% of the surface is thicker than {units.format('length', thickness.thickLimit, 2)} — risk of sink and voids
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WallThicknessReport;
@@ -0,0 +1,47 @@
+// Main-thread side of the analysis worker: one worker per file, terminated when done or cancelled
+
+const cancelledError = () => new DOMException('Analysis cancelled', 'AbortError');
+
+/**
+ * Analyses a CAD file in a Web Worker and resolves with one analysis per body, like `analyzeCADParts`.
+ * `onProgress` receives { stage, fraction }; aborting `signal` terminates the worker and rejects
+ * with an AbortError.
+ */
+export const analyzeInWorker = (file, { units, onProgress = () => {}, signal } = {}) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    reject(cancelledError());
+    return;
+  }
+
+  const worker = new Worker(new URL('./cadAnalysis.worker.js', import.meta.url), { type: 'module' });
+
+  const finish = () => {
+    worker.terminate();
+    if (signal) signal.removeEventListener('abort', cancel);
+  };
+
+  const cancel = () => {
+    finish();
+    reject(cancelledError());
+  };
+
+  worker.onmessage = ({ data }) => {
+    if (data.type === 'progress') {
+      onProgress({ stage: data.stage, fraction: data.fraction });
+    } else if (data.type === 'done') {
+      finish();
+      resolve(data.parts);
+    } else {
+      finish();
+      reject(new Error(data.message));
+    }
+  };
+
+  worker.onerror = (event) => {
+    finish();
+    reject(new Error(event.message || 'Analysis worker failed'));
+  };
+
+  if (signal) signal.addEventListener('abort', cancel);
+  worker.postMessage({ file, units });
+});
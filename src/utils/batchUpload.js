@@ -0,0 +1,32 @@
+import { unzipSync } from 'fflate';
+import { getFileType } from './cadAnalyzer';
+
+const isZip = (name) => name.toLowerCase().endsWith('.zip');
+
+// Archive entries worth analysing: supported CAD files, skipping folders and macOS resource forks
+const isCADEntry = (path) => !path.endsWith('/') && !path.startsWith('__MACOSX/') && getFileType(path) !== null;
+
+// Selected or dropped files with any zip archives replaced by the CAD files inside them
+export const expandUploads = async (fileList) => {
+  const files = [];
+
+  for (const file of Array.from(fileList)) {
+    if (!isZip(file.name)) {
+      files.push(file);
+      continue;
+    }
+
+    const entries = unzipSync(new Uint8Array(await file.arrayBuffer()), { filter: entry => isCADEntry(entry.name) });
+    const paths = Object.keys(entries).sort();
+    if (paths.length === 0) {
+      throw new Error(`${file.name} contains no supported CAD files`);
+    }
+    paths.forEach(path => {
+      files.push(new File([entries[path]], path.split('/').pop()));
+    });
+  }
+
+  return files;
+};
+
+export const isBatchUpload = (fileList) => fileList.length > 1 || Array.from(fileList).some(file => isZip(file.name));
@@ -0,0 +1,25 @@
+// Runs CAD parsing and every geometry measurement off the main thread.
+// In: { file, units }. Out: progress messages, then { type: 'done', parts } or { type: 'error', message }.
+import { analyzeCADParts } from './cadAnalyzer';
+
+// Typed-array buffers in the result, so the meshes move to the main thread instead of being copied
+const transferablesOf = (value, buffers = new Set(), depth = 0) => {
+  if (ArrayBuffer.isView(value)) {
+    buffers.add(value.buffer);
+  } else if (value && typeof value === 'object' && depth < 4) {
+    Object.values(value).forEach(child => transferablesOf(child, buffers, depth + 1));
+  }
+  return buffers;
+};
+
+self.onmessage = async ({ data: { file, units } }) => {
+  try {
+    const parts = await analyzeCADParts(file, {
+      units,
+      onProgress: ({ stage, fraction }) => self.postMessage({ type: 'progress', stage, fraction })
+    });
+    self.postMessage({ type: 'done', parts }, [...transferablesOf(parts)]);
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -1,160 +1,304 @@
 import * as THREE from 'three';
-import { STLLoader } from 'three-stdlib';
+import { analyzeWallThickness } from './wallThickness';
+import { calculateProjectedArea, extentsAcross, analyzeParting, analyzeDraft } from './moldability';
+import { validateMesh } from './meshIntegrity';
+import { unitToMM, isPlausibleSize, detectBRepUnits, detectMeshUnits } from './units';
+import { MESH_FORMATS, FORMAT_NAMES, detectFileFormat, parseMeshFile } from './meshFormats';
 
-// Main CAD analysis function
-export const analyzeCADFile = async (file) => {
-  const fileType = getFileType(file.name);
-  
-  console.log(`Analyzing ${fileType.toUpperCase()} file:`, file.name);
-  
-  try {
-    let result;
-    
-    if (fileType === 'stl') {
-      // Use accurate Three.js STL parser
-      const arrayBuffer = await file.arrayBuffer();
-      result = await analyzeSTL(arrayBuffer);
-    } else {
-      // STEP/other formats → Use our API
-      result = await analyzeWithAPI(file);
-    }
-    
-    return {
-      ...result,
-      format: fileType,
-      analyzedLocally: fileType === 'stl',
-      fileName: file.name
-    };
-    
-  } catch (error) {
-    console.error('CAD analysis failed:', error);
-    
-    // Final fallback - basic estimation
-    const estimated = await analyzeWithEstimation(file);
-    return {
-      ...estimated,
-      format: fileType,
-      analyzedLocally: true,
-      fileName: file.name,
-      note: 'Using estimation after analysis failed'
-    };
-  }
-};
+// Share of the progress bar spent reading and tessellating the file before measuring it
+const READ_PROGRESS = 0.2;
 
-// Analyze with our API
-const analyzeWithAPI = async (file) => {
-  const formData = new FormData();
-  formData.append('file', file);
-  
-  const response = await fetch('/api/forge-analyze', {
-    method: 'POST',
-    body: formData
-  });
+// Maps a sub-step's 0–1 progress into [from, to] of the overall bar
+const progressRange = (onProgress, from, to, prefix = '') => ({ stage, fraction }) =>
+  onProgress({ stage: `${prefix}${stage}`, fraction: from + (to - from) * fraction });
+
+// Reads the file and decides its format from the content, falling back to the extension
+const readCADFile = async (file, onProgress) => {
+  onProgress({ stage: 'Reading file', fraction: 0 });
+  const arrayBuffer = await file.arrayBuffer();
+  const fileType = detectFileFormat(arrayBuffer) || getFileType(file.name);
   
-  if (!response.ok) {
-    throw new Error(`API error: ${response.statusText}`);
+  if (fileType === 'zip') {
+    throw new Error(`${file.name} is a zip archive, not a 3MF model. Upload it with a .zip name to quote the CAD files inside`);
+  }
+  if (!fileType) {
+    throw new Error(`Could not recognise the format of ${file.name}`);
   }
   
-  const result = await response.json();
+  console.log(`Analyzing ${FORMAT_NAMES[fileType]} file:`, file.name);
+  return { arrayBuffer, fileType };
+};
+
+// Main CAD analysis function; `units` overrides the length unit the file was drawn in and
+// `onProgress` receives { stage, fraction } as the analysis runs
+export const analyzeCADFile = async (file, { units, onProgress = () => {} } = {}) => {
+  const { arrayBuffer, fileType } = await readCADFile(file, onProgress);
+  let result;
   
-  if (!result.success) {
-    throw new Error(result.error || 'API analysis failed');
+  if (MESH_FORMATS.includes(fileType)) {
+    // STL, OBJ, PLY, 3MF, glTF → one triangle mesh
+    result = analyzeMesh(arrayBuffer, fileType, units, onProgress);
+  } else {
+    // STEP/IGES → tessellate the B-rep locally with OpenCascade
+    result = await analyzeBRep(arrayBuffer, fileType, units, onProgress);
   }
   
   return {
-    volume: result.volume,
-    dimensions: result.dimensions,
-    wallThickness: estimateWallThicknessFromDimensions(result.dimensions),
-    accuracy: result.accuracy,
-    note: result.note || 'Analyzed via 3D conversion API'
+    ...result,
+    format: fileType,
+    analyzedLocally: true,
+    fileName: file.name
   };
 };
 
-// Enhanced estimation when APIs fail
-const analyzeWithEstimation = async (file) => {
-  const arrayBuffer = await file.arrayBuffer();
-  const fileSize = arrayBuffer.byteLength;
-  const isSTEP = file.name.toLowerCase().includes('.stp') || file.name.toLowerCase().includes('.step');
+// Assemblies come back as one analysis per solid body; everything else as a single part
+export const analyzeCADParts = async (file, options = {}) => {
+  const { onProgress = () => {} } = options;
+  const { arrayBuffer, fileType } = await readCADFile(file, onProgress);
   
-  let scale, baseVolume, baseDims;
+  if (MESH_FORMATS.includes(fileType)) {
+    return [{
+      ...analyzeMesh(arrayBuffer, fileType, options.units, onProgress),
+      format: fileType,
+      analyzedLocally: true,
+      fileName: file.name
+    }];
+  }
   
-  if (isSTEP) {
-    scale = Math.cbrt(fileSize / 50000);
-    baseVolume = 60;
-    baseDims = { length: 150, width: 110, height: 70 };
-  } else {
-    scale = Math.cbrt(fileSize / 100000);
-    baseVolume = 40;
-    baseDims = { length: 120, width: 90, height: 60 };
+  onProgress({ stage: `Tessellating ${FORMAT_NAMES[fileType]}`, fraction: 0.05 });
+  const meshes = await readBRepMeshes(arrayBuffer, fileType);
+  const units = brepUnits(arrayBuffer, fileType, options.units);
+  const baseName = file.name.replace(/\.[^.]+$/, '');
+  const share = (1 - READ_PROGRESS) / meshes.length;
+  
+  return meshes.map((mesh, index) => ({
+    ...analyzeGeometry(
+      brepMeshesToGeometry([mesh], units.scale),
+      progressRange(onProgress, READ_PROGRESS + index * share, READ_PROGRESS + (index + 1) * share,
+        meshes.length > 1 ? `Body ${index + 1} of ${meshes.length}: ` : '')
+    ),
+    units,
+    bodyCount: 1,
+    note: meshes.length > 1 ? `Body ${index + 1} of ${meshes.length} in ${file.name}` : 'Tessellated B-rep analysis (1 body)',
+    format: fileType,
+    analyzedLocally: true,
+    fileName: meshes.length > 1 ? `${baseName} / ${mesh.name || `Body ${index + 1}`}` : file.name
+  }));
+};
+
+// OpenCascade (WASM) is large, so load it on first STEP/IGES upload only
+let occtPromise = null;
+
+// On the API server the package finds its own .wasm next to it; browsers need the bundled asset URL
+const IS_NODE = typeof process === 'object' && Boolean(process.versions && process.versions.node);
+
+const loadOCCT = () => {
+  if (!occtPromise) {
+    occtPromise = (IS_NODE
+      ? import('occt-import-js').then(({ default: occtimportjs }) => occtimportjs())
+      : Promise.all([
+        import('occt-import-js'),
+        import('occt-import-js/dist/occt-import-js.wasm?url')
+      ]).then(([{ default: occtimportjs }, { default: wasmUrl }]) =>
+        occtimportjs({ locateFile: () => wasmUrl })
+      )
+    ).catch((error) => {
+      occtPromise = null;
+      throw error;
+    });
   }
+  return occtPromise;
+};
+
+// STEP/IGES → one indexed mesh per solid body
+const readBRepMeshes = async (arrayBuffer, fileType) => {
+  const occt = await loadOCCT();
+  const content = new Uint8Array(arrayBuffer);
+  const params = { linearUnit: 'millimeter' };
   
-  const volume = Math.max(1, baseVolume * scale);
-  const dimensions = {
-    length: Math.max(15, baseDims.length * scale),
-    width: Math.max(12, baseDims.width * scale),
-    height: Math.max(8, baseDims.height * scale)
-  };
+  const imported = fileType === 'iges'
+    ? occt.ReadIgesFile(content, params)
+    : occt.ReadStepFile(content, params);
+  
+  if (!imported.success || imported.meshes.length === 0) {
+    throw new Error(`Could not read ${fileType.toUpperCase()} geometry from file`);
+  }
   
+  return imported.meshes;
+};
+
+// OpenCascade converts to mm from the declared unit; an override rescales from that unit instead
+const brepUnits = (arrayBuffer, fileType, override) => {
+  const detected = detectBRepUnits(arrayBuffer, fileType);
+  const declared = detected || 'mm';
   return {
-    volume,
-    dimensions,
-    wallThickness: estimateWallThicknessFromDimensions(dimensions),
-    accuracy: 'estimated',
-    note: 'Using enhanced file size estimation'
+    source: override || declared,
+    detected,
+    method: override ? 'override' : detected ? 'header' : 'default',
+    ambiguous: false,
+    candidates: [declared],
+    scale: override ? unitToMM(override) / unitToMM(declared) : 1
   };
 };
 
-// STL Analysis (this works perfectly)
-const analyzeSTL = async (arrayBuffer) => {
-  return analyzeSTLWithThreeJS(arrayBuffer);
+// STEP/IGES Analysis
+const analyzeBRep = async (arrayBuffer, fileType, override, onProgress) => {
+  onProgress({ stage: `Tessellating ${FORMAT_NAMES[fileType]}`, fraction: 0.05 });
+  const meshes = await readBRepMeshes(arrayBuffer, fileType);
+  const units = brepUnits(arrayBuffer, fileType, override);
+  const geometry = brepMeshesToGeometry(meshes, units.scale);
+  
+  return {
+    ...analyzeGeometry(geometry, progressRange(onProgress, READ_PROGRESS, 1)),
+    units,
+    bodyCount: meshes.length,
+    note: `Tessellated B-rep analysis (${meshes.length} bod${meshes.length === 1 ? 'y' : 'ies'})`
+  };
 };
 
-const analyzeSTLWithThreeJS = (arrayBuffer) => {
-  return new Promise((resolve, reject) => {
-    try {
-      const loader = new STLLoader();
-      const geometry = loader.parse(arrayBuffer);
-      
-      geometry.computeBoundingBox();
-      const bbox = geometry.boundingBox;
-      
-      const volume = calculateSTLVolume(geometry);
-      const wallThickness = estimateWallThicknessSTL(geometry);
-      
-      resolve({
-        volume: Math.max(0.1, volume / 1000),
-        dimensions: {
-          length: Math.max(1, bbox.max.x - bbox.min.x),
-          width: Math.max(1, bbox.max.y - bbox.min.y),
-          height: Math.max(1, bbox.max.z - bbox.min.z)
-        },
-        wallThickness: Math.max(0.5, wallThickness),
-        accuracy: 'high',
-        note: 'Accurate mesh analysis'
-      });
-    } catch (error) {
-      reject(error);
+// Flatten indexed OCCT meshes into one triangle-soup geometry, the same layout STLLoader produces
+const brepMeshesToGeometry = (meshes, scale = 1) => {
+  const triangleCount = meshes.reduce((sum, mesh) => sum + mesh.index.array.length / 3, 0);
+  const positions = new Float32Array(triangleCount * 9);
+  let offset = 0;
+  
+  meshes.forEach(mesh => {
+    const source = mesh.attributes.position.array;
+    const indices = mesh.index.array;
+    
+    for (let i = 0; i < indices.length; i++) {
+      const v = indices[i] * 3;
+      positions[offset++] = source[v] * scale;
+      positions[offset++] = source[v + 1] * scale;
+      positions[offset++] = source[v + 2] * scale;
     }
   });
+  
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.computeVertexNormals();
+  return geometry;
+};
+
+// Mesh analysis: use the unit the file declares (3MF, glTF), otherwise detect it from the
+// STL header or part size, then scale to mm before measuring
+const analyzeMesh = (arrayBuffer, fileType, override, onProgress) => {
+  onProgress({ stage: `Parsing ${FORMAT_NAMES[fileType]}`, fraction: 0.05 });
+  const { geometry, unit, method } = parseMeshFile(arrayBuffer, fileType);
+  
+  geometry.computeBoundingBox();
+  const size = geometry.boundingBox.getSize(new THREE.Vector3());
+  const rawSize = Math.max(size.x, size.y, size.z);
+  const header = fileType === 'stl' ? new TextDecoder().decode(new Uint8Array(arrayBuffer, 0, Math.min(80, arrayBuffer.byteLength))) : '';
+  // A declared unit that gives an unmoldable size is not trusted (CAD tools often write glTF in mm,
+  // not the metres the format specifies): guess from the size instead and ask which unit is right
+  const guessed = unit && isPlausibleSize(rawSize, unit) ? null : detectMeshUnits(rawSize, header);
+  const detection = guessed
+    ? (unit ? { ...guessed, ambiguous: true, candidates: [...new Set([...guessed.candidates, unit])], declared: unit } : guessed)
+    : { unit, method, ambiguous: false, candidates: [unit] };
+  const source = override || detection.unit;
+  const scale = unitToMM(source);
+  if (scale !== 1) geometry.scale(scale, scale, scale);
+  
+  return {
+    ...analyzeGeometry(geometry, progressRange(onProgress, READ_PROGRESS, 1)),
+    units: {
+      source,
+      detected: detection.unit,
+      method: override ? 'override' : detection.method,
+      ambiguous: !override && detection.ambiguous,
+      candidates: detection.candidates,
+      declared: detection.declared || null,
+      rawSize,
+      scale
+    },
+    note: fileType === 'stl' ? 'Accurate mesh analysis' : `${FORMAT_NAMES[fileType]} mesh analysis`
+  };
 };
 
-// STL volume calculation
+// Shared measurements for any triangle-soup geometry in millimetres, taken on the repaired mesh
+const analyzeGeometry = (sourceGeometry, onProgress = () => {}) => {
+  onProgress({ stage: 'Checking mesh integrity', fraction: 0 });
+  const { geometry, health } = validateMesh(sourceGeometry);
+  geometry.computeBoundingBox();
+  
+  onProgress({ stage: 'Measuring volume', fraction: 0.15 });
+  const signedVolume = calculateSTLVolume(geometry);
+  const surfaceArea = calculateSurfaceArea(geometry);
+  const orientation = Math.sign(signedVolume) || 1;
+  const thickness = analyzeWallThickness(geometry, orientation, (fraction) =>
+    onProgress({ stage: 'Measuring wall thickness', fraction: 0.2 + 0.4 * fraction })
+  );
+  const wallThickness = thickness ? thickness.nominal : estimateWallThicknessSTL(geometry);
+  const { pullDirection, ...parting } = analyzeParting(geometry, orientation, (fraction) =>
+    onProgress({ stage: 'Finding pull direction and undercuts', fraction: 0.6 + 0.3 * fraction })
+  );
+  onProgress({ stage: 'Checking draft', fraction: 0.9 });
+  const projectedArea = calculateProjectedArea(geometry, pullDirection);
+  const draft = analyzeDraft(geometry, pullDirection);
+  const footprint = extentsAcross(geometry, pullDirection);
+  onProgress({ stage: 'Done', fraction: 1 });
+  
+  return {
+    volume: Math.max(0.1, Math.abs(signedVolume) / 1000),
+    surfaceArea: surfaceArea / 100,
+    projectedArea: projectedArea / 100,
+    pullDirection: pullDirection.toArray(),
+    // Measured in the mold: footprint across the pull, height along it
+    dimensions: {
+      length: Math.max(1, footprint.length),
+      width: Math.max(1, footprint.width),
+      height: Math.max(1, parting.depth)
+    },
+    wallThickness: Math.max(0.5, wallThickness),
+    thickness,
+    parting,
+    draft,
+    positions: geometry.getAttribute('position').array,
+    meshHealth: health,
+    accuracy: health.confidence
+  };
+};
+
+// Signed STL volume (negative when the winding points normals inward), a·(b×c)/6 per triangle
+// straight off the position array so large meshes allocate nothing per face
 const calculateSTLVolume = (geometry) => {
   let volume = 0;
-  const position = geometry.getAttribute('position');
+  const p = geometry.getAttribute('position').array;
   
-  for (let i = 0; i < position.count; i += 3) {
-    const a = new THREE.Vector3().fromBufferAttribute(position, i);
-    const b = new THREE.Vector3().fromBufferAttribute(position, i + 1);
-    const c = new THREE.Vector3().fromBufferAttribute(position, i + 2);
-    
-    volume += (a.dot(b.cross(c))) / 6.0;
+  for (let i = 0; i < p.length; i += 9) {
+    volume += (
+      p[i] * (p[i + 4] * p[i + 8] - p[i + 5] * p[i + 7]) -
+      p[i + 1] * (p[i + 3] * p[i + 8] - p[i + 5] * p[i + 6]) +
+      p[i + 2] * (p[i + 3] * p[i + 7] - p[i + 4] * p[i + 6])
+    ) / 6.0;
   }
   
-  return Math.abs(volume);
+  return volume;
 };
 
-// STL wall thickness estimation
+// Surface area (mm²) as the sum of triangle areas, |(b−a)×(c−a)|/2
+const calculateSurfaceArea = (geometry) => {
+  let area = 0;
+  const p = geometry.getAttribute('position').array;
+  
+  for (let i = 0; i < p.length; i += 9) {
+    const ux = p[i + 3] - p[i];
+    const uy = p[i + 4] - p[i + 1];
+    const uz = p[i + 5] - p[i + 2];
+    const vx = p[i + 6] - p[i];
+    const vy = p[i + 7] - p[i + 1];
+    const vz = p[i + 8] - p[i + 2];
+    const cx = uy * vz - uz * vy;
+    const cy = uz * vx - ux * vz;
+    const cz = ux * vy - uy * vx;
+    area += Math.sqrt(cx * cx + cy * cy + cz * cz) / 2;
+  }
+  
+  return area;
+};
+
+// Rough wall thickness from part size, used only when ray casting finds no walls
 const estimateWallThicknessSTL = (geometry) => {
   geometry.computeBoundingSphere();
   const size = geometry.boundingSphere.radius * 2;
@@ -166,18 +310,7 @@ const estimateWallThicknessSTL = (geometry) => {
   return 3.0;
 };
 
-// Wall thickness from dimensions
-const estimateWallThicknessFromDimensions = (dimensions) => {
-  const avgSize = (dimensions.length + dimensions.width + dimensions.height) / 3;
-  
-  if (avgSize < 25) return 1.0;
-  if (avgSize < 50) return 1.5;
-  if (avgSize < 100) return 2.0;
-  if (avgSize < 200) return 2.5;
-  return 3.0;
-};
-
-// File type detection
+// File type from the extension; analysis prefers the format detected from the content
 export const getFileType = (fileName) => {
   const extension = '.' + fileName.toLowerCase().split('.').pop();
   const formatMap = {
@@ -185,17 +318,23 @@ export const getFileType = (fileName) => {
     '.stp': 'step', 
     '.step': 'step',
     '.igs': 'iges',
-    '.iges': 'iges'
+    '.iges': 'iges',
+    '.obj': 'obj',
+    '.ply': 'ply',
+    '.3mf': '3mf',
+    '.gltf': 'gltf',
+    '.glb': 'glb'
   };
   return formatMap[extension] || null;
 };
 
+export const SUPPORTED_EXTENSIONS = ['.stl', '.stp', '.step', '.igs', '.iges', '.obj', '.ply', '.3mf', '.gltf', '.glb'];
+
 export const validateFile = (file) => {
   const extension = '.' + file.name.toLowerCase().split('.').pop();
-  const supported = ['.stl', '.stp', '.step', '.igs', '.iges'];
   
-  if (!supported.includes(extension)) {
-    throw new Error(`Unsupported format: ${extension}. Supported: ${supported.join(', ')}`);
+  if (!getFileType(file.name)) {
+    throw new Error(`Unsupported format: ${extension}. Supported: ${SUPPORTED_EXTENSIONS.join(', ')}`);
   }
   
   if (file.size > 100 * 1024 * 1024) {
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { analyzeCADFile } from './cadAnalyzer';
+import { computeQuote, partDataFromAnalysis } from './quoteEngine';
+import { DEFAULT_MATERIALS } from './materialsLibrary';
+import { DEFAULT_PRESSES } from './pressCatalog';
+
+// Two triangles, wound so the face normal points along `normal`
+const quad = (a, b, c, d, normal) => {
+  const u = b.map((value, i) => value - a[i]);
+  const v = c.map((value, i) => value - a[i]);
+  const cross = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+  const outward = cross.reduce((sum, value, i) => sum + value * normal[i], 0) > 0;
+  return outward ? [[a, b, c], [a, c, d]] : [[a, c, b], [a, d, c]];
+};
+
+// Open-top box 60 × 40 × 30 mm with 2 mm walls and floor: it only releases along +Z
+const CUP = (() => {
+  const [L, W, H, t] = [60, 40, 30, 2];
+  const outer = [[0, 0], [L, 0], [L, W], [0, W]];
+  const inner = [[t, t], [L - t, t], [L - t, W - t], [t, W - t]];
+  const sideNormals = [[0, -1, 0], [1, 0, 0], [0, 1, 0], [-1, 0, 0]];
+  const at = ([x, y], z) => [x, y, z];
+  const faces = [
+    ...quad(at(outer[0], 0), at(outer[1], 0), at(outer[2], 0), at(outer[3], 0), [0, 0, -1]),
+    ...quad(at(inner[0], t), at(inner[1], t), at(inner[2], t), at(inner[3], t), [0, 0, 1])
+  ];
+  for (let i = 0; i < 4; i++) {
+    const j = (i + 1) % 4;
+    const normal = sideNormals[i];
+    faces.push(...quad(at(outer[i], 0), at(outer[j], 0), at(outer[j], H), at(outer[i], H), normal));
+    faces.push(...quad(at(inner[i], t), at(inner[j], t), at(inner[j], H), at(inner[i], H), normal.map(n => -n)));
+    faces.push(...quad(at(outer[i], H), at(outer[j], H), at(inner[j], H), at(inner[i], H), [0, 0, 1]));
+  }
+  return faces;
+})();
+
+const stlFile = (name, triangles) => {
+  const facets = triangles.map(triangle => `facet normal 0 0 0\nouter loop\n${triangle.map(p => `vertex ${p.join(' ')}`).join('\n')}\nendloop\nendfacet`);
+  const text = `solid ${name}\n${facets.join('\n')}\nendsolid ${name}\n`;
+  return { name, arrayBuffer: async () => new TextEncoder().encode(text).buffer };
+};
+
+const quoteFor = (analysis) => computeQuote({
+  partData: partDataFromAnalysis(analysis),
+  materials: DEFAULT_MATERIALS,
+  presses: DEFAULT_PRESSES,
+  selectedResin: 1,
+  selectedColor: 'natural',
+  cavities: 2,
+  steelGrade: 'p20',
+  complexity: 'simple',
+  orderQuantity: 10000,
+  runSize: 5000
+});
+
+describe('analyzeCADFile part dimensions', () => {
+  it('measures height along the pull direction and the footprint across it', async () => {
+    const analysis = await analyzeCADFile(stlFile('cup', CUP), { units: 'mm' });
+    expect(analysis.pullDirection).toEqual([0, 0, 1]);
+    expect(analysis.dimensions).toEqual({ length: 60, width: 40, height: 30 });
+  });
+
+  it('quotes a part turned to pull along X the same as along Z', async () => {
+    // (x, y, z) → (z, y, −x) turns the open top to face +X
+    const turned = CUP.map(triangle => triangle.map(([x, y, z]) => [z, y, -x]));
+    const upright = await analyzeCADFile(stlFile('cup', CUP), { units: 'mm' });
+    const sideways = await analyzeCADFile(stlFile('cup-x', turned), { units: 'mm' });
+
+    expect(sideways.pullDirection.map(Math.abs)).toEqual([1, 0, 0]);
+    expect(sideways.dimensions).toEqual(upright.dimensions);
+    expect(quoteFor(sideways).landedCostPerPart).toBeCloseTo(quoteFor(upright).landedCostPerPart, 6);
+  });
+});
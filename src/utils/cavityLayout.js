@@ -0,0 +1,154 @@
+// Cavity layout: arrange cavities on the mold plate around a central sprue and route a runner tree to them
+
+// All dimensions in mm
+export const LAYOUT_RULES = {
+  coolingClearance: 12,   // cavity wall to cooling line, on each side of the steel between cavities
+  runnerWidth: 8,         // runner channel running between neighbouring cavities
+  plateMargin: 50,        // guide pins, return pins and clamp bolts around the cavity block
+  sprueClearance: 10,     // sprue bushing radius kept clear of cavities
+  minPlateSize: 150,
+  maxAspectRatio: 2
+};
+
+// Steel between two neighbouring cavities: cooling clearance either side of the runner
+export const cavityGap = () => 2 * LAYOUT_RULES.coolingClearance + LAYOUT_RULES.runnerWidth;
+
+// Candidate rows × columns grids that hold the count, most compact first
+const gridOptions = (count) => {
+  const options = [];
+  for (let rows = 1; rows <= count; rows++) {
+    const cols = Math.ceil(count / rows);
+    if ((rows - 1) * cols < count) options.push({ rows, cols });
+  }
+  return options;
+};
+
+// Cell centres for a grid, with a part-filled last row centred on the sprue
+const placeCells = (count, rows, cols, pitchX, pitchY) => {
+  const cells = [];
+  for (let row = 0; row < rows; row++) {
+    const inRow = Math.min(cols, count - row * cols);
+    for (let col = 0; col < inRow; col++) {
+      cells.push({
+        x: (col - (inRow - 1) / 2) * pitchX,
+        y: (row - (rows - 1) / 2) * pitchY
+      });
+    }
+  }
+  return cells;
+};
+
+// Manhattan distance from a runner junction to the nearest edge of a cavity, where the gate sits
+const distanceToGate = (from, cavity) => Math.max(0, Math.abs(cavity.x - from.x) - cavity.footprintX / 2)
+  + Math.max(0, Math.abs(cavity.y - from.y) - cavity.footprintY / 2);
+
+// Split the cavities in half across their longer spread until each branch feeds one cavity (an H-tree
+// for 2^n grids). Runners run orthogonally, so each segment is an L from junction to branch centroid.
+const routeRunner = (cavities, from, segments, paths, travelled) => {
+  if (cavities.length === 1) {
+    const [cavity] = cavities;
+    const length = distanceToGate(from, cavity);
+    segments.push({ from, to: { x: cavity.x, y: cavity.y }, length });
+    paths[cavity.index] = travelled + length;
+    return;
+  }
+
+  const centroid = {
+    x: cavities.reduce((sum, c) => sum + c.x, 0) / cavities.length,
+    y: cavities.reduce((sum, c) => sum + c.y, 0) / cavities.length
+  };
+  const toCentroid = Math.abs(centroid.x - from.x) + Math.abs(centroid.y - from.y);
+  if (toCentroid > 0) segments.push({ from, to: centroid, length: toCentroid });
+
+  const spreadX = Math.max(...cavities.map(c => c.x)) - Math.min(...cavities.map(c => c.x));
+  const spreadY = Math.max(...cavities.map(c => c.y)) - Math.min(...cavities.map(c => c.y));
+  const axis = spreadX >= spreadY ? 'x' : 'y';
+  const sorted = [...cavities].sort((a, b) => a[axis] - b[axis]);
+  const half = Math.floor(sorted.length / 2);
+
+  routeRunner(sorted.slice(0, half), centroid, segments, paths, travelled + toCentroid);
+  routeRunner(sorted.slice(half), centroid, segments, paths, travelled + toCentroid);
+};
+
+// Expand [{ name, footprint: { length, width }, count }] into one entry per cavity, largest parts first
+const expandCavities = (parts) => parts
+  .flatMap((part, partIndex) => Array.from({ length: part.count }, () => ({
+    partIndex,
+    name: part.name,
+    length: part.footprint.length,
+    width: part.footprint.width
+  })))
+  .sort((a, b) => b.length * b.width - a.length * a.width);
+
+const layoutFor = (cavities, rows, cols, rotated) => {
+  const gap = cavityGap();
+  const footprints = cavities.map(c => (rotated ? { x: c.width, y: c.length } : { x: c.length, y: c.width }));
+  const cellX = Math.max(...footprints.map(f => f.x));
+  const cellY = Math.max(...footprints.map(f => f.y));
+  const pitchX = cellX + gap;
+  const pitchY = cellY + gap;
+  const cells = placeCells(cavities.length, rows, cols, pitchX, pitchY);
+
+  // A cavity sitting on the sprue leaves no room for the bushing, so open up the centre
+  const blocked = cavities.length > 1 && cells.some(cell => Math.abs(cell.x) < cellX / 2 + LAYOUT_RULES.sprueClearance
+    && Math.abs(cell.y) < cellY / 2 + LAYOUT_RULES.sprueClearance);
+  if (blocked) return null;
+
+  const blockX = Math.max(...cells.map(cell => Math.abs(cell.x))) * 2 + cellX;
+  const blockY = Math.max(...cells.map(cell => Math.abs(cell.y))) * 2 + cellY;
+  const plateWidth = Math.max(LAYOUT_RULES.minPlateSize, blockX + 2 * LAYOUT_RULES.plateMargin);
+  const plateHeight = Math.max(LAYOUT_RULES.minPlateSize, blockY + 2 * LAYOUT_RULES.plateMargin);
+
+  return {
+    rows,
+    cols,
+    rotated,
+    plateWidth,
+    plateHeight,
+    cavities: cavities.map((cavity, index) => ({
+      ...cavity,
+      index,
+      x: cells[index].x,
+      y: cells[index].y,
+      footprintX: footprints[index].x,
+      footprintY: footprints[index].y
+    }))
+  };
+};
+
+/**
+ * Smallest plate that holds every cavity, with its runner tree from the central sprue.
+ * A single cavity is sprue-gated. Flow length is the longest sprue-to-gate path; the runner is
+ * naturally balanced when every path is that long.
+ */
+export const planCavityLayout = (parts) => {
+  const cavities = expandCavities(parts.filter(part => part.count > 0));
+  if (cavities.length === 0) return null;
+
+  const candidates = gridOptions(cavities.length)
+    .flatMap(({ rows, cols }) => [layoutFor(cavities, rows, cols, false), layoutFor(cavities, rows, cols, true)])
+    .filter(Boolean);
+
+  // Two rows never put a cavity on the sprue, so there is always a candidate; prefer squarish plates
+  const squarish = candidates.filter(layout => Math.max(layout.plateWidth, layout.plateHeight)
+    / Math.min(layout.plateWidth, layout.plateHeight) <= LAYOUT_RULES.maxAspectRatio);
+  const best = (squarish.length > 0 ? squarish : candidates)
+    .reduce((a, b) => (b.plateWidth * b.plateHeight < a.plateWidth * a.plateHeight ? b : a));
+
+  const segments = [];
+  const paths = new Array(best.cavities.length).fill(0);
+  if (best.cavities.length > 1) {
+    routeRunner(best.cavities, { x: 0, y: 0 }, segments, paths, 0);
+  }
+
+  const flowLength = Math.max(...paths);
+  const runnerLength = segments.reduce((sum, segment) => sum + segment.length, 0);
+
+  return {
+    ...best,
+    segments,
+    flowLength,
+    runnerLength,
+    balanced: paths.every(path => Math.abs(path - flowLength) < 0.5)
+  };
+};
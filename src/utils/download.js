@@ -0,0 +1,12 @@
+// Save generated text or binary content through a temporary object URL
+export const downloadFile = (content, fileName, type = 'application/octet-stream') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,289 @@
+// Materials library: resin grades persisted in localStorage, importable and exportable as JSON or CSV
+
+const STORAGE_KEY = 'imq.materials.v1';
+
+// Temperatures in °C, thermal diffusivity in mm²/s, cavity pressure in bar,
+// shrinkage and regrind allowance in %, price breaks by annual purchase in kg
+export const DEFAULT_MATERIALS = [
+  {
+    id: 1,
+    name: 'Polypropylene (PP)',
+    density: 0.905,
+    costPerKg: 1.80,
+    priceBreaks: [{ minKg: 1000, costPerKg: 1.65 }, { minKg: 10000, costPerKg: 1.52 }],
+    shrinkage: 1.5,
+    meltTemp: 230,
+    moldTemp: 40,
+    ejectTemp: 90,
+    thermalDiffusivity: 0.080,
+    cavityPressure: 300,
+    regrindAllowance: 25,
+    description: 'Excellent chemical resistance, low cost'
+  },
+  {
+    id: 2,
+    name: 'ABS',
+    density: 1.04,
+    costPerKg: 2.40,
+    priceBreaks: [{ minKg: 1000, costPerKg: 2.25 }, { minKg: 10000, costPerKg: 2.10 }],
+    shrinkage: 0.6,
+    meltTemp: 240,
+    moldTemp: 60,
+    ejectTemp: 85,
+    thermalDiffusivity: 0.120,
+    cavityPressure: 350,
+    regrindAllowance: 20,
+    description: 'Good impact strength, great surface finish'
+  },
+  {
+    id: 3,
+    name: 'Polycarbonate (PC)',
+    density: 1.20,
+    costPerKg: 4.20,
+    priceBreaks: [{ minKg: 1000, costPerKg: 3.95 }, { minKg: 10000, costPerKg: 3.70 }],
+    shrinkage: 0.7,
+    meltTemp: 300,
+    moldTemp: 90,
+    ejectTemp: 130,
+    thermalDiffusivity: 0.130,
+    cavityPressure: 450,
+    regrindAllowance: 15,
+    description: 'High strength, transparent, heat resistant'
+  },
+  {
+    id: 4,
+    name: 'Nylon 6 (PA6)',
+    density: 1.13,
+    costPerKg: 3.40,
+    priceBreaks: [{ minKg: 1000, costPerKg: 3.20 }],
+    shrinkage: 1.2,
+    meltTemp: 250,
+    moldTemp: 80,
+    ejectTemp: 150,
+    thermalDiffusivity: 0.100,
+    cavityPressure: 400,
+    regrindAllowance: 20,
+    description: 'Tough and wear resistant; dry before molding'
+  },
+  {
+    id: 5,
+    name: 'Nylon 66 30% Glass (PA66-GF30)',
+    density: 1.36,
+    costPerKg: 4.60,
+    priceBreaks: [{ minKg: 1000, costPerKg: 4.35 }],
+    shrinkage: 0.5,
+    meltTemp: 290,
+    moldTemp: 90,
+    ejectTemp: 180,
+    thermalDiffusivity: 0.150,
+    cavityPressure: 550,
+    regrindAllowance: 10,
+    description: 'Stiff structural grade, abrasive to tooling'
+  },
+  {
+    id: 6,
+    name: 'Acetal (POM)',
+    density: 1.41,
+    costPerKg: 3.10,
+    priceBreaks: [{ minKg: 1000, costPerKg: 2.90 }],
+    shrinkage: 2.0,
+    meltTemp: 205,
+    moldTemp: 90,
+    ejectTemp: 145,
+    thermalDiffusivity: 0.090,
+    cavityPressure: 450,
+    regrindAllowance: 20,
+    description: 'Low friction, dimensionally stable gears and clips'
+  },
+  {
+    id: 7,
+    name: 'PBT',
+    density: 1.31,
+    costPerKg: 3.30,
+    priceBreaks: [{ minKg: 1000, costPerKg: 3.10 }],
+    shrinkage: 1.7,
+    meltTemp: 250,
+    moldTemp: 70,
+    ejectTemp: 140,
+    thermalDiffusivity: 0.105,
+    cavityPressure: 400,
+    regrindAllowance: 20,
+    description: 'Electrical connectors, good chemical resistance'
+  },
+  {
+    id: 8,
+    name: 'TPE (Shore 60A)',
+    density: 0.95,
+    costPerKg: 4.00,
+    priceBreaks: [{ minKg: 1000, costPerKg: 3.75 }],
+    shrinkage: 1.8,
+    meltTemp: 200,
+    moldTemp: 30,
+    ejectTemp: 60,
+    thermalDiffusivity: 0.085,
+    cavityPressure: 250,
+    regrindAllowance: 15,
+    description: 'Soft-touch grips and seals'
+  }
+];
+
+// Field order for CSV columns and the edit form
+export const MATERIAL_FIELDS = [
+  { key: 'name', label: 'Name', type: 'text' },
+  { key: 'density', label: 'Density (g/cm³)', type: 'number' },
+  { key: 'costPerKg', label: 'Price ($/kg)', type: 'number' },
+  { key: 'priceBreaks', label: 'Price Breaks (kg:$/kg | ...)', type: 'breaks' },
+  { key: 'shrinkage', label: 'Shrinkage (%)', type: 'number' },
+  { key: 'meltTemp', label: 'Melt Temp (°C)', type: 'number' },
+  { key: 'moldTemp', label: 'Mold Temp (°C)', type: 'number' },
+  { key: 'ejectTemp', label: 'Ejection Temp (°C)', type: 'number' },
+  { key: 'thermalDiffusivity', label: 'Thermal Diffusivity (mm²/s)', type: 'number' },
+  { key: 'cavityPressure', label: 'Cavity Pressure (bar)', type: 'number' },
+  { key: 'regrindAllowance', label: 'Regrind Allowance (%)', type: 'number' },
+  { key: 'description', label: 'Description', type: 'text' }
+];
+
+// "1000:1.65|10000:1.52" ↔ [{ minKg, costPerKg }]
+export const formatPriceBreaks = (breaks) => (breaks || [])
+  .map(b => `${b.minKg}:${b.costPerKg}`)
+  .join('|');
+
+export const parsePriceBreaks = (text) => String(text || '')
+  .split('|')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const [minKg, costPerKg] = entry.split(':').map(parseFloat);
+    if (!(minKg >= 0) || !(costPerKg > 0)) {
+      throw new Error(`Invalid price break "${entry}" (expected kg:price)`);
+    }
+    return { minKg, costPerKg };
+  })
+  .sort((a, b) => a.minKg - b.minKg);
+
+// Price per kg for an order that consumes the given kilograms of resin
+export const resinPriceForQuantity = (material, kg) => {
+  const applicable = (material.priceBreaks || [])
+    .filter(b => kg >= b.minKg)
+    .sort((a, b) => b.minKg - a.minKg);
+  return applicable.length > 0 ? applicable[0].costPerKg : material.costPerKg;
+};
+
+export const validateMaterial = (material) => {
+  if (!material.name || !String(material.name).trim()) {
+    throw new Error('Material name is required');
+  }
+  ['density', 'costPerKg', 'thermalDiffusivity', 'cavityPressure'].forEach(key => {
+    if (!(material[key] > 0)) {
+      throw new Error(`${material.name}: ${key} must be greater than zero`);
+    }
+  });
+  if (!(material.meltTemp > material.ejectTemp && material.ejectTemp > material.moldTemp)) {
+    throw new Error(`${material.name}: temperatures must satisfy melt > ejection > mold`);
+  }
+  if (material.regrindAllowance < 0 || material.regrindAllowance > 100) {
+    throw new Error(`${material.name}: regrind allowance must be between 0 and 100%`);
+  }
+  return true;
+};
+
+export const normalizeMaterial = (raw, id) => {
+  const material = { id };
+  MATERIAL_FIELDS.forEach(({ key, type }) => {
+    if (type === 'number') material[key] = parseFloat(raw[key]) || 0;
+    else if (type === 'breaks') material[key] = Array.isArray(raw[key]) ? raw[key] : parsePriceBreaks(raw[key]);
+    else material[key] = String(raw[key] ?? '').trim();
+  });
+  validateMaterial(material);
+  return material;
+};
+
+export const loadMaterials = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(stored) && stored.length > 0) return stored;
+  } catch (error) {
+    console.error('Could not read materials library:', error);
+  }
+  return DEFAULT_MATERIALS;
+};
+
+export const saveMaterials = (materials) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(materials));
+};
+
+export const nextMaterialId = (materials) => materials.reduce((max, m) => Math.max(max, m.id), 0) + 1;
+
+// Export
+export const materialsToJSON = (materials) => JSON.stringify(materials, null, 2);
+
+const csvEscape = (value) => {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const materialsToCSV = (materials) => {
+  const header = MATERIAL_FIELDS.map(f => f.key).join(',');
+  const rows = materials.map(m => MATERIAL_FIELDS
+    .map(({ key, type }) => csvEscape(type === 'breaks' ? formatPriceBreaks(m[key]) : m[key]))
+    .join(','));
+  return [header, ...rows].join('\n');
+};
+
+// Import
+const parseCSVRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') quoted = false;
+      else field += char;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field); field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(cell => cell.trim() !== '')) rows.push(row);
+      row = [];
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  if (row.some(cell => cell.trim() !== '')) rows.push(row);
+
+  return rows;
+};
+
+// Imported grades replace library entries with the same name and are appended otherwise
+export const importMaterials = (text, fileName, existing) => {
+  let records;
+
+  if (fileName.toLowerCase().endsWith('.csv')) {
+    const [header, ...rows] = parseCSVRows(text);
+    if (!header) throw new Error('CSV file is empty');
+    const keys = header.map(h => h.trim());
+    records = rows.map(cells => Object.fromEntries(keys.map((key, i) => [key, cells[i]])));
+  } else {
+    records = JSON.parse(text);
+    if (!Array.isArray(records)) throw new Error('JSON materials file must contain an array');
+  }
+
+  const merged = [...existing];
+  records.forEach(record => {
+    const index = merged.findIndex(m => m.name.toLowerCase() === String(record.name || '').trim().toLowerCase());
+    const id = index >= 0 ? merged[index].id : nextMaterialId(merged);
+    const material = normalizeMaterial(record, id);
+    if (index >= 0) merged[index] = material;
+    else merged.push(material);
+  });
+
+  return merged;
+};
@@ -0,0 +1,340 @@
+import * as THREE from 'three';
+import { STLLoader, OBJLoader, PLYLoader } from 'three-stdlib';
+import { unzipSync, strFromU8 } from 'fflate';
+
+// Formats read as triangle meshes; STEP and IGES are B-reps tessellated by OpenCascade instead
+export const MESH_FORMATS = ['stl', 'obj', 'ply', '3mf', 'gltf', 'glb'];
+
+export const FORMAT_NAMES = {
+  stl: 'STL',
+  obj: 'OBJ',
+  ply: 'PLY',
+  '3mf': '3MF',
+  gltf: 'glTF',
+  glb: 'GLB',
+  step: 'STEP',
+  iges: 'IGES'
+};
+
+// A zip is a 3MF package when it holds the 3D model part or declares the 3MF model content type
+const THREE_MF_CONTENT_TYPE = 'application/vnd.ms-package.3dmanufacturing-3dmodel+xml';
+
+const is3MFPackage = (arrayBuffer) => {
+  const names = [];
+  try {
+    const files = unzipSync(new Uint8Array(arrayBuffer), {
+      filter: file => {
+        names.push(file.name);
+        return file.name === '[Content_Types].xml';
+      }
+    });
+    return names.includes('3D/3dmodel.model')
+      || Boolean(files['[Content_Types].xml'] && strFromU8(files['[Content_Types].xml']).includes(THREE_MF_CONTENT_TYPE));
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Format from the file's leading bytes, so a mislabelled extension still parses correctly.
+ * 'zip' for an archive that is not a 3MF package; null when the content is not recognised and
+ * the extension has to decide.
+ */
+export const detectFileFormat = (arrayBuffer) => {
+  const bytes = new Uint8Array(arrayBuffer, 0, Math.min(arrayBuffer.byteLength, 1024));
+  const head = strFromU8(bytes, true);
+
+  if (head.startsWith('glTF')) return 'glb';
+  if (bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04) return is3MFPackage(arrayBuffer) ? '3mf' : 'zip';
+  if (/^\s*ISO-10303-21/.test(head)) return 'step';
+  if (/^ply\r?\n/.test(head)) return 'ply';
+
+  // Binary STL is an 80-byte header, a triangle count and 50 bytes per triangle, even when the header starts with "solid"
+  if (arrayBuffer.byteLength >= 84 && 84 + new DataView(arrayBuffer).getUint32(80, true) * 50 === arrayBuffer.byteLength) return 'stl';
+  if (/^\s*solid\b/.test(head)) return 'stl';
+
+  if (/^\s*\{/.test(head) && /"asset"\s*:/.test(head)) return 'gltf';
+  const firstLine = head.split(/\r?\n/)[0];
+  if (firstLine.length >= 73 && firstLine[72] === 'S') return 'iges';
+  if (/^v\s+-?[\d.]/m.test(head) || /^(mtllib|o|g)\s/m.test(head)) return 'obj';
+  return null;
+};
+
+// One non-indexed triangle soup from every mesh in a loaded scene, in world coordinates
+const mergeObject = (object, format) => {
+  object.updateMatrixWorld(true);
+  const parts = [];
+  object.traverse(child => {
+    if (!child.isMesh || !child.geometry.getAttribute('position')) return;
+    const geometry = child.geometry.index ? child.geometry.toNonIndexed() : child.geometry.clone();
+    geometry.applyMatrix4(child.matrixWorld);
+    parts.push(geometry.getAttribute('position').array);
+  });
+  return concatPositions(parts, format);
+};
+
+const concatPositions = (parts, format) => {
+  const length = parts.reduce((sum, part) => sum + part.length, 0);
+  if (length < 9) {
+    throw new Error(`No triangles found in ${FORMAT_NAMES[format]} file`);
+  }
+  const positions = new Float32Array(length);
+  let offset = 0;
+  parts.forEach(part => {
+    positions.set(part, offset);
+    offset += part.length;
+  });
+  return positions;
+};
+
+// 3MF: zipped XML. Parsed here rather than with ThreeMFLoader, which needs DOMParser and so can't run in the worker
+const THREE_MF_UNITS = {
+  micron: { unit: 'mm', scale: 0.001 },
+  millimeter: { unit: 'mm', scale: 1 },
+  centimeter: { unit: 'cm', scale: 1 },
+  meter: { unit: 'm', scale: 1 },
+  inch: { unit: 'in', scale: 1 },
+  foot: { unit: 'in', scale: 12 }
+};
+
+const xmlAttribute = (attributes, name) => {
+  const match = attributes.match(new RegExp(`(?:^|\\s)${name}="([^"]*)"`));
+  return match ? match[1] : null;
+};
+
+// 3MF transforms are 3×4, row-major for row vectors
+const threeMFMatrix = (transform) => {
+  const m = transform ? transform.trim().split(/\s+/).map(Number) : [1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0];
+  return new THREE.Matrix4().set(m[0], m[3], m[6], m[9], m[1], m[4], m[7], m[10], m[2], m[5], m[8], m[11], 0, 0, 0, 1);
+};
+
+const parse3MFModel = (xml) => {
+  const objects = new Map();
+  for (const [, attributes, body] of xml.matchAll(/<object\b([^>]*)>([\s\S]*?)<\/object>/g)) {
+    const vertices = [];
+    for (const [, vertex] of body.matchAll(/<vertex\b([^>]*?)\/?>/g)) {
+      vertices.push(Number(xmlAttribute(vertex, 'x')), Number(xmlAttribute(vertex, 'y')), Number(xmlAttribute(vertex, 'z')));
+    }
+    const triangles = [];
+    for (const [, triangle] of body.matchAll(/<triangle\b([^>]*?)\/?>/g)) {
+      triangles.push(Number(xmlAttribute(triangle, 'v1')), Number(xmlAttribute(triangle, 'v2')), Number(xmlAttribute(triangle, 'v3')));
+    }
+    const components = [...body.matchAll(/<component\b([^>]*?)\/?>/g)].map(([, component]) => ({
+      objectId: xmlAttribute(component, 'objectid'),
+      path: xmlAttribute(component, 'p:path'),
+      matrix: threeMFMatrix(xmlAttribute(component, 'transform'))
+    }));
+    objects.set(xmlAttribute(attributes, 'id'), { vertices, triangles, components });
+  }
+
+  const items = [...xml.matchAll(/<item\b([^>]*?)\/?>/g)].map(([, item]) => ({
+    objectId: xmlAttribute(item, 'objectid'),
+    path: xmlAttribute(item, 'p:path'),
+    matrix: threeMFMatrix(xmlAttribute(item, 'transform'))
+  }));
+
+  const unit = (xml.match(/<model\b[^>]*\bunit="(\w+)"/) || [])[1] || 'millimeter';
+  return { objects, items, unit };
+};
+
+const parse3MF = (arrayBuffer) => {
+  const files = unzipSync(new Uint8Array(arrayBuffer), {
+    filter: file => file.name.endsWith('.model') || file.name === '_rels/.rels'
+  });
+  const rels = files['_rels/.rels'] ? strFromU8(files['_rels/.rels']) : '';
+  const rootPath = (rels.match(/Target="\/?([^"]+\.model)"/) || [])[1] || '3D/3dmodel.model';
+  if (!files[rootPath]) {
+    throw new Error('3MF package contains no 3D model');
+  }
+
+  // Production-extension components may point into other model files in the package
+  const models = new Map();
+  const modelAt = (path) => {
+    const key = path.replace(/^\//, '');
+    if (!models.has(key) && files[key]) models.set(key, parse3MFModel(strFromU8(files[key])));
+    return models.get(key);
+  };
+  const root = modelAt(rootPath);
+  const units = THREE_MF_UNITS[root.unit] || THREE_MF_UNITS.millimeter;
+
+  const parts = [];
+  const vertex = new THREE.Vector3();
+  const emit = (path, objectId, matrix, depth) => {
+    const model = modelAt(path);
+    const object = model && model.objects.get(objectId);
+    if (!object || depth > 16) return;
+
+    const positions = new Float32Array(object.triangles.length * 3);
+    object.triangles.forEach((index, corner) => {
+      vertex.fromArray(object.vertices, index * 3).applyMatrix4(matrix).multiplyScalar(units.scale);
+      vertex.toArray(positions, corner * 3);
+    });
+    if (positions.length > 0) parts.push(positions);
+
+    object.components.forEach(component => {
+      emit(component.path || path, component.objectId, matrix.clone().multiply(component.matrix), depth + 1);
+    });
+  };
+
+  const items = root.items.length > 0
+    ? root.items
+    : [...root.objects.keys()].map(objectId => ({ objectId, path: null, matrix: new THREE.Matrix4() }));
+  items.forEach(item => emit(item.path || rootPath, item.objectId, item.matrix, 0));
+
+  return { positions: concatPositions(parts, '3mf'), unit: units.unit };
+};
+
+// glTF/GLB: read directly from the buffers, since GLTFLoader would also try to decode textures
+const GLTF_COMPONENTS = {
+  5120: { bytes: 1, read: 'getInt8', max: 127 },
+  5121: { bytes: 1, read: 'getUint8', max: 255 },
+  5122: { bytes: 2, read: 'getInt16', max: 32767 },
+  5123: { bytes: 2, read: 'getUint16', max: 65535 },
+  5125: { bytes: 4, read: 'getUint32', max: 1 },
+  5126: { bytes: 4, read: 'getFloat32', max: 1 }
+};
+const GLTF_TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT4: 16 };
+const GLB_JSON = 0x4e4f534a;
+const GLB_BIN = 0x004e4942;
+
+const readGLTFContainer = (arrayBuffer, format) => {
+  if (format === 'gltf') return { json: JSON.parse(strFromU8(new Uint8Array(arrayBuffer))), binary: null };
+
+  const view = new DataView(arrayBuffer);
+  let json = null;
+  let binary = null;
+  for (let offset = 12; offset + 8 <= view.byteLength;) {
+    const length = view.getUint32(offset, true);
+    const type = view.getUint32(offset + 4, true);
+    const data = new Uint8Array(arrayBuffer, offset + 8, length);
+    if (type === GLB_JSON) json = JSON.parse(strFromU8(data));
+    else if (type === GLB_BIN) binary = data;
+    offset += 8 + length;
+  }
+  if (!json) {
+    throw new Error('GLB file has no JSON chunk');
+  }
+  return { json, binary };
+};
+
+const parseGLTF = (arrayBuffer, format) => {
+  const { json, binary } = readGLTFContainer(arrayBuffer, format);
+  if ((json.extensionsRequired || []).includes('KHR_draco_mesh_compression')) {
+    throw new Error('Draco-compressed glTF is not supported; export without mesh compression');
+  }
+
+  const buffers = (json.buffers || []).map(buffer => {
+    if (buffer.uri === undefined) return binary;
+    const dataUri = buffer.uri.match(/^data:[^,]*;base64,(.*)$/);
+    if (!dataUri) {
+      throw new Error(`glTF buffer ${buffer.uri} is a separate file; upload a .glb or a .gltf with embedded buffers`);
+    }
+    return Uint8Array.from(atob(dataUri[1]), char => char.charCodeAt(0));
+  });
+
+  const readAccessor = (index) => {
+    const accessor = json.accessors[index];
+    const component = GLTF_COMPONENTS[accessor.componentType];
+    const size = GLTF_TYPE_SIZES[accessor.type];
+    const values = new Float64Array(accessor.count * size);
+    if (accessor.bufferView === undefined) return values;
+
+    const bufferView = json.bufferViews[accessor.bufferView];
+    const buffer = buffers[bufferView.buffer];
+    const stride = bufferView.byteStride || component.bytes * size;
+    const data = new DataView(buffer.buffer, buffer.byteOffset + (bufferView.byteOffset || 0) + (accessor.byteOffset || 0));
+    const scale = accessor.normalized ? 1 / component.max : 1;
+    for (let element = 0; element < accessor.count; element++) {
+      for (let k = 0; k < size; k++) {
+        values[element * size + k] = data[component.read](element * stride + k * component.bytes, true) * scale;
+      }
+    }
+    return values;
+  };
+
+  // Triangle corner order for triangles (4), strips (5) and fans (6)
+  const triangleCorners = (mode, count) => {
+    const corners = [];
+    if (mode === 4) {
+      for (let i = 0; i + 2 < count; i += 3) corners.push(i, i + 1, i + 2);
+    } else if (mode === 5) {
+      for (let i = 0; i + 2 < count; i++) corners.push(...(i % 2 === 0 ? [i, i + 1, i + 2] : [i + 1, i, i + 2]));
+    } else if (mode === 6) {
+      for (let i = 1; i + 1 < count; i++) corners.push(0, i, i + 1);
+    }
+    return corners;
+  };
+
+  const parts = [];
+  const vertex = new THREE.Vector3();
+  const visit = (nodeIndex, parentMatrix) => {
+    const node = json.nodes[nodeIndex];
+    const local = node.matrix
+      ? new THREE.Matrix4().fromArray(node.matrix)
+      : new THREE.Matrix4().compose(
+        new THREE.Vector3(...(node.translation || [0, 0, 0])),
+        new THREE.Quaternion(...(node.rotation || [0, 0, 0, 1])),
+        new THREE.Vector3(...(node.scale || [1, 1, 1]))
+      );
+    const matrix = parentMatrix.clone().multiply(local);
+
+    if (node.mesh !== undefined) {
+      json.meshes[node.mesh].primitives.forEach(primitive => {
+        if (primitive.attributes.POSITION === undefined) return;
+        const points = readAccessor(primitive.attributes.POSITION);
+        const indices = primitive.indices !== undefined ? readAccessor(primitive.indices) : null;
+        const corners = triangleCorners(primitive.mode === undefined ? 4 : primitive.mode, indices ? indices.length : points.length / 3);
+        const positions = new Float32Array(corners.length * 3);
+        corners.forEach((corner, i) => {
+          vertex.fromArray(points, (indices ? indices[corner] : corner) * 3).applyMatrix4(matrix);
+          vertex.toArray(positions, i * 3);
+        });
+        parts.push(positions);
+      });
+    }
+    (node.children || []).forEach(child => visit(child, matrix));
+  };
+
+  const scene = json.scenes && json.scenes[json.scene || 0];
+  const roots = scene
+    ? scene.nodes
+    : (json.nodes || []).map((_, index) => index).filter(index => !json.nodes.some(node => (node.children || []).includes(index)));
+  roots.forEach(root => visit(root, new THREE.Matrix4()));
+
+  return concatPositions(parts, format);
+};
+
+const soupGeometry = (positions) => {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  return geometry;
+};
+
+/**
+ * Parses any mesh format into a non-indexed triangle soup in the file's own units, with the length
+ * unit the file declares (3MF model unit, glTF metres by specification) or null when it has none.
+ */
+export const parseMeshFile = (arrayBuffer, format) => {
+  switch (format) {
+    case 'stl':
+      return { geometry: new STLLoader().parse(arrayBuffer), unit: null };
+    case 'obj':
+      return { geometry: soupGeometry(mergeObject(new OBJLoader().parse(strFromU8(new Uint8Array(arrayBuffer))), format)), unit: null };
+    case 'ply': {
+      const geometry = new PLYLoader().parse(arrayBuffer);
+      if (!geometry.index) {
+        throw new Error('PLY file has no faces (point cloud); export it as a mesh');
+      }
+      return { geometry: soupGeometry(geometry.toNonIndexed().getAttribute('position').array), unit: null };
+    }
+    case '3mf': {
+      const { positions, unit } = parse3MF(arrayBuffer);
+      return { geometry: soupGeometry(positions), unit, method: 'header' };
+    }
+    case 'gltf':
+    case 'glb':
+      return { geometry: soupGeometry(parseGLTF(arrayBuffer, format)), unit: 'm', method: 'format' };
+    default:
+      throw new Error(`Unsupported mesh format: ${format}`);
+  }
+};
@@ -0,0 +1,20 @@
+import { describe, it, expect } from 'vitest';
+import { zipSync, strToU8 } from 'fflate';
+import { detectFileFormat } from './meshFormats';
+
+const zip = (files) => zipSync(Object.fromEntries(Object.entries(files).map(([name, text]) => [name, strToU8(text)]))).buffer;
+
+describe('detectFileFormat', () => {
+  it('reads a zip holding the 3D model part as 3MF', () => {
+    expect(detectFileFormat(zip({ '3D/3dmodel.model': '<model unit="millimeter"/>' }))).toBe('3mf');
+  });
+
+  it('reads a zip declaring the 3MF model content type as 3MF', () => {
+    const contentTypes = '<Types><Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/></Types>';
+    expect(detectFileFormat(zip({ '[Content_Types].xml': contentTypes, '3D/part.model': '<model/>' }))).toBe('3mf');
+  });
+
+  it('does not read an ordinary zip as 3MF', () => {
+    expect(detectFileFormat(zip({ 'bracket.step': 'ISO-10303-21;', 'lid.stl': 'solid lid' }))).toBe('zip');
+  });
+});
@@ -0,0 +1,446 @@
+import * as THREE from 'three';
+
+// Mesh checks run before any measurement; tolerances are fractions of the bounding-box diagonal
+export const MESH_RULES = {
+  weldTolerance: 1e-6,
+  degenerateArea: 1e-12,     // of diagonal², below which a triangle has no usable normal
+  maxHoleEdges: 64,          // longer boundary loops are real gaps, not tessellation cracks
+  maxNestedShells: 200       // above this, shell nesting is not resolved
+};
+
+const CONFIDENCE_LABELS = {
+  high: 'High — closed, consistently wound mesh',
+  medium: 'Medium — mesh needed repairs or has several bodies',
+  low: 'Low — mesh is open or non-manifold, volume and weight may be wrong'
+};
+
+// Open-addressing hash tables keyed on integer tuples, so welding and edge lookup allocate nothing per triangle
+const tableSize = (count) => {
+  let size = 1024;
+  while (size < count * 2) size *= 2;
+  return size;
+};
+
+const hashTuple = (a, b, c) =>
+  (Math.imul(a | 0, 73856093) ^ Math.imul(b | 0, 19349663) ^ Math.imul(c | 0, 83492791)) >>> 0;
+
+// Merge coincident corners so neighbouring triangles share vertex ids
+const weldVertices = (array, tolerance) => {
+  const count = array.length / 3;
+  const size = tableSize(count);
+  const table = new Int32Array(size).fill(-1);
+  const keys = new Float64Array(count * 3);
+  const vertices = new Float64Array(count * 3);
+  const corners = new Int32Array(count);
+  let unique = 0;
+
+  for (let i = 0; i < count; i++) {
+    const qx = Math.round(array[i * 3] / tolerance);
+    const qy = Math.round(array[i * 3 + 1] / tolerance);
+    const qz = Math.round(array[i * 3 + 2] / tolerance);
+    let slot = hashTuple(qx, qy, qz) & (size - 1);
+    while (table[slot] !== -1) {
+      const id = table[slot];
+      if (keys[id * 3] === qx && keys[id * 3 + 1] === qy && keys[id * 3 + 2] === qz) break;
+      slot = (slot + 1) & (size - 1);
+    }
+    if (table[slot] === -1) {
+      table[slot] = unique;
+      keys[unique * 3] = qx;
+      keys[unique * 3 + 1] = qy;
+      keys[unique * 3 + 2] = qz;
+      vertices[unique * 3] = array[i * 3];
+      vertices[unique * 3 + 1] = array[i * 3 + 1];
+      vertices[unique * 3 + 2] = array[i * 3 + 2];
+      unique++;
+    }
+    corners[i] = table[slot];
+  }
+
+  return { corners, vertices: vertices.slice(0, unique * 3) };
+};
+
+// Twice the triangle area squared, from welded vertex ids
+const doubleAreaSquared = (vertices, a, b, c) => {
+  const ux = vertices[b * 3] - vertices[a * 3];
+  const uy = vertices[b * 3 + 1] - vertices[a * 3 + 1];
+  const uz = vertices[b * 3 + 2] - vertices[a * 3 + 2];
+  const vx = vertices[c * 3] - vertices[a * 3];
+  const vy = vertices[c * 3 + 1] - vertices[a * 3 + 1];
+  const vz = vertices[c * 3 + 2] - vertices[a * 3 + 2];
+  const cx = uy * vz - uz * vy;
+  const cy = uz * vx - ux * vz;
+  const cz = ux * vy - uy * vx;
+  return cx * cx + cy * cy + cz * cz;
+};
+
+/**
+ * Undirected edges of an indexed triangle list. Per edge: how many faces use it, the first two of
+ * those faces and whether each runs low id → high id; per face corner: the edge it starts.
+ */
+const buildEdges = (faces) => {
+  const cornerCount = faces.length;
+  const size = tableSize(cornerCount);
+  const table = new Int32Array(size).fill(-1);
+  const low = new Int32Array(cornerCount);
+  const high = new Int32Array(cornerCount);
+  const uses = new Int32Array(cornerCount);
+  const firstFace = new Int32Array(cornerCount);
+  const secondFace = new Int32Array(cornerCount).fill(-1);
+  const firstForward = new Uint8Array(cornerCount);
+  const secondForward = new Uint8Array(cornerCount);
+  const faceEdges = new Int32Array(cornerCount);
+  let count = 0;
+
+  for (let corner = 0; corner < cornerCount; corner++) {
+    const face = (corner / 3) | 0;
+    const from = faces[corner];
+    const to = faces[face * 3 + (corner + 1) % 3];
+    const forward = from < to ? 1 : 0;
+    const a = forward ? from : to;
+    const b = forward ? to : from;
+    let slot = hashTuple(a, b, 0) & (size - 1);
+    while (table[slot] !== -1 && (low[table[slot]] !== a || high[table[slot]] !== b)) slot = (slot + 1) & (size - 1);
+
+    let edge = table[slot];
+    if (edge === -1) {
+      edge = count++;
+      table[slot] = edge;
+      low[edge] = a;
+      high[edge] = b;
+      firstFace[edge] = face;
+      firstForward[edge] = forward;
+    } else if (uses[edge] === 1) {
+      secondFace[edge] = face;
+      secondForward[edge] = forward;
+    }
+    uses[edge]++;
+    faceEdges[corner] = edge;
+  }
+
+  return { count, low, high, uses, firstFace, secondFace, firstForward, secondForward, faceEdges };
+};
+
+// Faces connected through shared edges, as a shell id per face
+const findShells = (faceCount, edges) => {
+  const parent = new Int32Array(faceCount).map((_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  for (let corner = 0; corner < faceCount * 3; corner++) {
+    parent[find((corner / 3) | 0)] = find(edges.firstFace[edges.faceEdges[corner]]);
+  }
+
+  const shellOf = new Int32Array(faceCount);
+  const roots = new Map();
+  for (let face = 0; face < faceCount; face++) {
+    const root = find(face);
+    if (!roots.has(root)) roots.set(root, roots.size);
+    shellOf[face] = roots.get(root);
+  }
+  return { shellOf, shellCount: roots.size };
+};
+
+// Walk each shell across two-face edges so every neighbour traverses the shared edge the other way
+const unifyWinding = (faceCount, edges, shellOf, shellCount) => {
+  const flipped = new Uint8Array(faceCount);
+  const visited = new Uint8Array(faceCount);
+  const flippedPerShell = new Int32Array(shellCount);
+  const facesPerShell = new Int32Array(shellCount);
+  const stack = new Int32Array(faceCount);
+  let conflicts = 0;
+
+  for (let seed = 0; seed < faceCount; seed++) {
+    if (visited[seed]) continue;
+    visited[seed] = 1;
+    let top = 0;
+    stack[top++] = seed;
+    while (top > 0) {
+      const face = stack[--top];
+      facesPerShell[shellOf[face]]++;
+      if (flipped[face]) flippedPerShell[shellOf[face]]++;
+      for (let corner = face * 3; corner < face * 3 + 3; corner++) {
+        const edge = edges.faceEdges[corner];
+        if (edges.uses[edge] !== 2) continue;
+        const other = edges.firstFace[edge] === face ? edges.secondFace[edge] : edges.firstFace[edge];
+        const same = edges.firstForward[edge] === edges.secondForward[edge];
+        const wanted = same ? 1 - flipped[face] : flipped[face];
+        if (!visited[other]) {
+          visited[other] = 1;
+          flipped[other] = wanted;
+          stack[top++] = other;
+        } else if (flipped[other] !== wanted) {
+          conflicts++;
+        }
+      }
+    }
+  }
+
+  // Keep whichever winding most of the shell already had
+  for (let face = 0; face < faceCount; face++) {
+    const shell = shellOf[face];
+    if (flippedPerShell[shell] * 2 > facesPerShell[shell]) flipped[face] = 1 - flipped[face];
+  }
+
+  return { flipped, conflicts: conflicts / 2 };
+};
+
+// Boundary loops from the directed open edges, each with a face on its rim;
+// null when the boundary is not a set of simple loops
+const traceHoles = (edges) => {
+  const next = new Map();
+  for (let edge = 0; edge < edges.count; edge++) {
+    if (edges.uses[edge] !== 1) continue;
+    const [from, to] = edges.firstForward[edge] ? [edges.low[edge], edges.high[edge]] : [edges.high[edge], edges.low[edge]];
+    if (next.has(from)) return null;
+    next.set(from, { to, face: edges.firstFace[edge] });
+  }
+
+  const loops = [];
+  const done = new Set();
+  for (const [start, { face }] of next) {
+    if (done.has(start)) continue;
+    const vertices = [];
+    let vertex = start;
+    while (vertex !== undefined && !done.has(vertex)) {
+      done.add(vertex);
+      vertices.push(vertex);
+      vertex = next.has(vertex) ? next.get(vertex).to : undefined;
+    }
+    if (vertex !== start) return null;
+    loops.push({ vertices, face });
+  }
+  return loops;
+};
+
+// Ray parity test: is the point inside the closed shell made of these faces?
+const insideShell = (point, faceList, faces, vertices) => {
+  const direction = new THREE.Vector3(0.5773, 0.5771, 0.5779).normalize();
+  const ray = new THREE.Ray(point, direction);
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  const c = new THREE.Vector3();
+  const hit = new THREE.Vector3();
+  let crossings = 0;
+
+  faceList.forEach(face => {
+    a.fromArray(vertices, faces[face * 3] * 3);
+    b.fromArray(vertices, faces[face * 3 + 1] * 3);
+    c.fromArray(vertices, faces[face * 3 + 2] * 3);
+    if (ray.intersectTriangle(a, b, c, false, hit)) crossings++;
+  });
+  return crossings % 2 === 1;
+};
+
+// Closed shells face outward, and voids nested inside another shell face inward
+const orientShells = (faces, vertices, shells) => {
+  const reversed = [];
+  if (shells.length > MESH_RULES.maxNestedShells) return reversed;
+
+  const point = new THREE.Vector3();
+  shells.forEach((shell, index) => {
+    if (!shell.closed) return;
+    const first = shell.faces[0];
+    point.set(0, 0, 0);
+    for (let corner = 0; corner < 3; corner++) {
+      point.x += vertices[faces[first * 3 + corner] * 3] / 3;
+      point.y += vertices[faces[first * 3 + corner] * 3 + 1] / 3;
+      point.z += vertices[faces[first * 3 + corner] * 3 + 2] / 3;
+    }
+
+    const depth = shells.filter((other, otherIndex) =>
+      otherIndex !== index && other.closed && other.box.containsPoint(point) && insideShell(point, other.faces, faces, vertices)
+    ).length;
+    const wanted = depth % 2 === 0 ? 1 : -1;
+    if (Math.sign(shell.signedVolume) !== wanted) reversed.push(index);
+  });
+  return reversed;
+};
+
+const signedVolumeOf = (faceList, faces, vertices) => {
+  let volume = 0;
+  for (const face of faceList) {
+    const a = faces[face * 3] * 3;
+    const b = faces[face * 3 + 1] * 3;
+    const c = faces[face * 3 + 2] * 3;
+    volume += (
+      vertices[a] * (vertices[b + 1] * vertices[c + 2] - vertices[b + 2] * vertices[c + 1]) -
+      vertices[a + 1] * (vertices[b] * vertices[c + 2] - vertices[b + 2] * vertices[c]) +
+      vertices[a + 2] * (vertices[b] * vertices[c + 1] - vertices[b + 1] * vertices[c])
+    ) / 6;
+  }
+  return volume;
+};
+
+const flipFace = (faces, face) => {
+  const b = faces[face * 3 + 1];
+  faces[face * 3 + 1] = faces[face * 3 + 2];
+  faces[face * 3 + 2] = b;
+};
+
+const countEdges = (edges) => {
+  let open = 0;
+  let nonManifold = 0;
+  let inconsistent = 0;
+  for (let edge = 0; edge < edges.count; edge++) {
+    if (edges.uses[edge] === 1) open++;
+    else if (edges.uses[edge] > 2) nonManifold++;
+    else if (edges.firstForward[edge] === edges.secondForward[edge]) inconsistent++;
+  }
+  return { open, nonManifold, inconsistent };
+};
+
+/**
+ * Checks a triangle-soup geometry for open and non-manifold edges, inconsistent winding, degenerate
+ * triangles and disconnected shells, then applies the repairs that cannot change the intended shape:
+ * drop degenerates, unify winding per shell, cap small holes and orient closed shells outward.
+ * Returns the geometry to measure (the input when nothing was repaired) and a health report.
+ */
+export const validateMesh = (geometry) => {
+  geometry.computeBoundingBox();
+  const diagonal = Math.max(geometry.boundingBox.getSize(new THREE.Vector3()).length(), 1e-9);
+  const { corners, vertices } = weldVertices(geometry.getAttribute('position').array, diagonal * MESH_RULES.weldTolerance);
+  const vertexCount = vertices.length / 3;
+  const triangleCount = corners.length / 3;
+
+  // Degenerate triangles: collapsed corners or no area
+  const areaLimit = (diagonal * diagonal * MESH_RULES.degenerateArea) ** 2;
+  let faceCount = 0;
+  for (let face = 0; face < triangleCount; face++) {
+    const a = corners[face * 3];
+    const b = corners[face * 3 + 1];
+    const c = corners[face * 3 + 2];
+    if (a === b || b === c || a === c || doubleAreaSquared(vertices, a, b, c) <= areaLimit) continue;
+    corners[faceCount * 3] = a;
+    corners[faceCount * 3 + 1] = b;
+    corners[faceCount * 3 + 2] = c;
+    faceCount++;
+  }
+  const faces = corners.subarray(0, faceCount * 3);
+  const degenerate = triangleCount - faceCount;
+
+  const edges = buildEdges(faces);
+  const found = countEdges(edges);
+  const { shellOf, shellCount } = findShells(faceCount, edges);
+  const repairs = [];
+  if (degenerate > 0) repairs.push(`Removed ${degenerate} degenerate triangle${degenerate === 1 ? '' : 's'}`);
+
+  // Unify winding, swapping two corners of every flipped face
+  const { flipped, conflicts } = unifyWinding(faceCount, edges, shellOf, shellCount);
+  let flippedCount = 0;
+  for (let face = 0; face < faceCount; face++) {
+    if (!flipped[face]) continue;
+    flipFace(faces, face);
+    flippedCount++;
+  }
+  if (flippedCount > 0) repairs.push(`Flipped ${flippedCount} triangle${flippedCount === 1 ? '' : 's'} to a consistent winding`);
+
+  // Cap small holes with a fan around the loop centroid once winding is consistent
+  let allFaces = faces;
+  let allVertices = vertices;
+  let allShellOf = shellOf;
+  let holesFilled = 0;
+  const holes = found.open > 0 && conflicts === 0 && found.nonManifold === 0
+    ? traceHoles(flippedCount > 0 ? buildEdges(faces) : edges)
+    : null;
+  if (holes && holes.every(loop => loop.vertices.length <= MESH_RULES.maxHoleEdges)) {
+    const addedVertices = [];
+    const addedFaces = [];
+    const addedShells = [];
+    holes.forEach(({ vertices: loop, face }) => {
+      const centre = vertexCount + addedVertices.length / 3;
+      for (let axis = 0; axis < 3; axis++) {
+        addedVertices.push(loop.reduce((sum, vertex) => sum + vertices[vertex * 3 + axis], 0) / loop.length);
+      }
+      loop.forEach((from, index) => {
+        addedFaces.push(loop[(index + 1) % loop.length], from, centre);
+        addedShells.push(shellOf[face]);
+      });
+    });
+    allFaces = new Int32Array(faces.length + addedFaces.length);
+    allFaces.set(faces);
+    allFaces.set(addedFaces, faces.length);
+    allVertices = new Float64Array(vertices.length + addedVertices.length);
+    allVertices.set(vertices);
+    allVertices.set(addedVertices, vertices.length);
+    allShellOf = new Int32Array(shellOf.length + addedShells.length);
+    allShellOf.set(shellOf);
+    allShellOf.set(addedShells, shellOf.length);
+    holesFilled = holes.length;
+    repairs.push(`Capped ${holes.length} hole${holes.length === 1 ? '' : 's'} (${found.open} open edges)`);
+  }
+
+  // Per-shell state after repairs
+  const repairedEdges = repairs.length > 0 ? buildEdges(allFaces) : edges;
+  const remaining = countEdges(repairedEdges);
+  const openPerShell = new Int32Array(shellCount);
+  for (let edge = 0; edge < repairedEdges.count; edge++) {
+    if (repairedEdges.uses[edge] !== 2) openPerShell[allShellOf[repairedEdges.firstFace[edge]]]++;
+  }
+  const shells = Array.from({ length: shellCount }, () => ({ faces: [], box: new THREE.Box3() }));
+  const corner = new THREE.Vector3();
+  for (let face = 0; face < allFaces.length / 3; face++) {
+    const shell = shells[allShellOf[face]];
+    shell.faces.push(face);
+    for (let i = 0; i < 3; i++) shell.box.expandByPoint(corner.fromArray(allVertices, allFaces[face * 3 + i] * 3));
+  }
+  shells.forEach((shell, index) => {
+    shell.closed = openPerShell[index] === 0;
+    shell.signedVolume = signedVolumeOf(shell.faces, allFaces, allVertices);
+  });
+
+  const reversed = orientShells(allFaces, allVertices, shells);
+  reversed.forEach(index => shells[index].faces.forEach(face => flipFace(allFaces, face)));
+  if (reversed.length > 0) repairs.push(`Reversed ${reversed.length} inside-out shell${reversed.length === 1 ? '' : 's'}`);
+
+  const closedShells = shells.filter(shell => shell.closed).length;
+  const watertight = remaining.open === 0 && remaining.nonManifold === 0;
+  const confidence = !watertight || conflicts > 0
+    ? 'low'
+    : repairs.length > 0 || shellCount > 1 ? 'medium' : 'high';
+
+  const issues = [];
+  if (found.open > 0) issues.push(`${found.open} open edge${found.open === 1 ? '' : 's'}${remaining.open > 0 ? ` (${remaining.open} left after repair)` : ''}`);
+  if (found.nonManifold > 0) issues.push(`${found.nonManifold} non-manifold edge${found.nonManifold === 1 ? '' : 's'} shared by three or more triangles`);
+  if (found.inconsistent > 0) issues.push(`${found.inconsistent} edge${found.inconsistent === 1 ? '' : 's'} with inconsistent winding${conflicts > 0 ? ' — shell is not orientable' : ''}`);
+  if (degenerate > 0) issues.push(`${degenerate} degenerate triangle${degenerate === 1 ? '' : 's'}`);
+  if (shellCount > 1) issues.push(`${shellCount} disconnected shells (${closedShells} closed)`);
+
+  const health = {
+    triangles: triangleCount,
+    vertices: vertexCount,
+    openEdges: found.open,
+    nonManifoldEdges: found.nonManifold,
+    inconsistentEdges: found.inconsistent,
+    degenerateTriangles: degenerate,
+    shells: shellCount,
+    closedShells,
+    holesFilled,
+    remainingOpenEdges: remaining.open,
+    remainingNonManifoldEdges: remaining.nonManifold,
+    watertight,
+    repairs,
+    issues,
+    confidence,
+    summary: CONFIDENCE_LABELS[confidence]
+  };
+
+  if (repairs.length === 0) return { geometry, health };
+
+  // Rebuild the triangle soup from the repaired faces
+  const positions = new Float32Array(allFaces.length * 3);
+  for (let i = 0; i < allFaces.length; i++) {
+    positions[i * 3] = allVertices[allFaces[i] * 3];
+    positions[i * 3 + 1] = allVertices[allFaces[i] * 3 + 1];
+    positions[i * 3 + 2] = allVertices[allFaces[i] * 3 + 2];
+  }
+  const repaired = new THREE.BufferGeometry();
+  repaired.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  repaired.computeVertexNormals();
+  return { geometry: repaired, health };
+};
@@ -0,0 +1,328 @@
+import * as THREE from 'three';
+import { MeshBVH } from 'three-mesh-bvh';
+
+// Moldability rules
+export const MOLDABILITY_RULES = {
+  projectionResolution: 512,
+  maxScoringFaces: 20000,
+  verticalTolerance: Math.sin(THREE.MathUtils.degToRad(0.25)),
+  minRegionArea: 1,
+  minRegionAreaRatio: 0.001,
+  criticalDraft: 0.5,
+  minimumDraft: 1.0
+};
+
+export const DEFAULT_PULL_DIRECTION = new THREE.Vector3(0, 0, 1);
+
+// Axes tried as pull direction: the coordinate axes, then face and body diagonals
+const CANDIDATE_AXES = [
+  [0, 0, 1], [0, 1, 0], [1, 0, 0],
+  [1, 1, 0], [1, -1, 0], [1, 0, 1], [1, 0, -1], [0, 1, 1], [0, 1, -1],
+  [1, 1, 1], [1, 1, -1], [1, -1, 1], [-1, 1, 1]
+].map(axis => new THREE.Vector3(...axis).normalize());
+
+// Two unit axes spanning the plane perpendicular to the pull direction
+const planeBasis = (direction) => {
+  const helper = Math.abs(direction.z) < 0.9 ? new THREE.Vector3(0, 0, 1) : new THREE.Vector3(1, 0, 0);
+  const u = new THREE.Vector3().crossVectors(helper, direction).normalize();
+  const v = new THREE.Vector3().crossVectors(direction, u).normalize();
+  return { u, v };
+};
+
+// Shadow area (mm²) of the part on the parting plane, rasterized so overlapping features count once
+export const calculateProjectedArea = (geometry, direction = DEFAULT_PULL_DIRECTION) => {
+  const position = geometry.getAttribute('position');
+  const { u, v } = planeBasis(direction);
+  const point = new THREE.Vector3();
+
+  const projected = new Float64Array(position.count * 2);
+  let minU = Infinity, maxU = -Infinity, minV = Infinity, maxV = -Infinity;
+
+  for (let i = 0; i < position.count; i++) {
+    point.fromBufferAttribute(position, i);
+    const pu = point.dot(u);
+    const pv = point.dot(v);
+    projected[i * 2] = pu;
+    projected[i * 2 + 1] = pv;
+    minU = Math.min(minU, pu); maxU = Math.max(maxU, pu);
+    minV = Math.min(minV, pv); maxV = Math.max(maxV, pv);
+  }
+
+  const cellSize = Math.max(maxU - minU, maxV - minV) / MOLDABILITY_RULES.projectionResolution;
+  if (!(cellSize > 0)) return 0;
+
+  const columns = Math.ceil((maxU - minU) / cellSize) + 1;
+  const rows = Math.ceil((maxV - minV) / cellSize) + 1;
+  const covered = new Uint8Array(columns * rows);
+
+  for (let i = 0; i < position.count; i += 3) {
+    const ax = (projected[i * 2] - minU) / cellSize, ay = (projected[i * 2 + 1] - minV) / cellSize;
+    const bx = (projected[i * 2 + 2] - minU) / cellSize, by = (projected[i * 2 + 3] - minV) / cellSize;
+    const cx = (projected[i * 2 + 4] - minU) / cellSize, cy = (projected[i * 2 + 5] - minV) / cellSize;
+
+    const doubleArea = (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+    if (doubleArea === 0) continue;
+    const sign = Math.sign(doubleArea);
+
+    const x0 = Math.max(0, Math.floor(Math.min(ax, bx, cx)));
+    const x1 = Math.min(columns - 1, Math.ceil(Math.max(ax, bx, cx)));
+    const y0 = Math.max(0, Math.floor(Math.min(ay, by, cy)));
+    const y1 = Math.min(rows - 1, Math.ceil(Math.max(ay, by, cy)));
+
+    // Sample cell centres with edge functions
+    for (let y = y0; y <= y1; y++) {
+      const py = y + 0.5;
+      for (let x = x0; x <= x1; x++) {
+        const px = x + 0.5;
+        const w0 = ((bx - px) * (cy - py) - (by - py) * (cx - px)) * sign;
+        const w1 = ((cx - px) * (ay - py) - (cy - py) * (ax - px)) * sign;
+        const w2 = ((ax - px) * (by - py) - (ay - py) * (bx - px)) * sign;
+        if (w0 >= 0 && w1 >= 0 && w2 >= 0) covered[y * columns + x] = 1;
+      }
+    }
+  }
+
+  let cells = 0;
+  for (let i = 0; i < covered.length; i++) cells += covered[i];
+
+  return cells * cellSize * cellSize;
+};
+
+// Outward normals, centroids and areas per triangle
+const computeFaceData = (geometry, orientation) => {
+  const position = geometry.getAttribute('position');
+  const count = position.count / 3;
+  const normals = new Float32Array(count * 3);
+  const centroids = new Float32Array(count * 3);
+  const areas = new Float32Array(count);
+  const triangle = new THREE.Triangle();
+  const vector = new THREE.Vector3();
+  let totalArea = 0;
+
+  for (let face = 0; face < count; face++) {
+    triangle.a.fromBufferAttribute(position, face * 3);
+    triangle.b.fromBufferAttribute(position, face * 3 + 1);
+    triangle.c.fromBufferAttribute(position, face * 3 + 2);
+
+    triangle.getNormal(vector).multiplyScalar(orientation).toArray(normals, face * 3);
+    triangle.getMidpoint(vector).toArray(centroids, face * 3);
+    areas[face] = triangle.getArea();
+    totalArea += areas[face];
+  }
+
+  geometry.computeBoundingBox();
+  const diagonal = geometry.boundingBox.getSize(vector).length();
+
+  return { count, normals, centroids, areas, totalArea, diagonal };
+};
+
+// A face is an undercut when the mold half it releases into is blocked by the part itself
+const createReleaseTester = (faces, bvh) => {
+  const ray = new THREE.Ray();
+  const normal = new THREE.Vector3();
+  const offset = faces.diagonal * 1e-4;
+
+  const blocked = (face, axis, sign) => {
+    normal.fromArray(faces.normals, face * 3);
+    ray.origin.fromArray(faces.centroids, face * 3)
+      .addScaledVector(normal, offset)
+      .addScaledVector(axis, sign * offset);
+    ray.direction.copy(axis).multiplyScalar(sign);
+    return !!bvh.raycastFirst(ray, THREE.DoubleSide, 0, faces.diagonal * 2);
+  };
+
+  return (face, axis) => {
+    const dot = faces.normals[face * 3] * axis.x + faces.normals[face * 3 + 1] * axis.y + faces.normals[face * 3 + 2] * axis.z;
+
+    if (dot > MOLDABILITY_RULES.verticalTolerance) return blocked(face, axis, 1);
+    if (dot < -MOLDABILITY_RULES.verticalTolerance) return blocked(face, axis, -1);
+    return blocked(face, axis, 1) && blocked(face, axis, -1);
+  };
+};
+
+// Extent of the part along an axis (mm)
+const depthAlong = (geometry, axis) => {
+  const position = geometry.getAttribute('position');
+  const point = new THREE.Vector3();
+  let min = Infinity, max = -Infinity;
+
+  for (let i = 0; i < position.count; i++) {
+    const d = point.fromBufferAttribute(position, i).dot(axis);
+    min = Math.min(min, d);
+    max = Math.max(max, d);
+  }
+
+  return max - min;
+};
+
+// Footprint across the pull direction (mm), longer side first
+export const extentsAcross = (geometry, direction = DEFAULT_PULL_DIRECTION) => {
+  const { u, v } = planeBasis(direction);
+  const [length, width] = [depthAlong(geometry, u), depthAlong(geometry, v)].sort((a, b) => b - a);
+  return { length, width };
+};
+
+// Connected undercut faces that release the same way form one side action or lifter
+const groupUndercutRegions = (geometry, faces, undercutFaces, axis, bvh) => {
+  const position = geometry.getAttribute('position');
+  const { u, v } = planeBasis(axis);
+  const releaseAxes = [u, u.clone().negate(), v, v.clone().negate()];
+  const tolerance = faces.diagonal * 1e-5;
+  const normal = new THREE.Vector3();
+  const point = new THREE.Vector3();
+
+  const releaseOf = new Int8Array(faces.count).fill(-1);
+  for (let face = 0; face < faces.count; face++) {
+    if (!undercutFaces[face]) continue;
+    normal.fromArray(faces.normals, face * 3).addScaledVector(axis, -normal.dot(axis));
+    let best = 0;
+    releaseAxes.forEach((release, index) => {
+      if (normal.dot(release) > normal.dot(releaseAxes[best])) best = index;
+    });
+    releaseOf[face] = best;
+  }
+
+  // Union-find over faces sharing a (welded) vertex and release direction
+  const parent = new Int32Array(faces.count).map((_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  const vertexOwners = new Map();
+  for (let face = 0; face < faces.count; face++) {
+    if (releaseOf[face] < 0) continue;
+    for (let corner = 0; corner < 3; corner++) {
+      point.fromBufferAttribute(position, face * 3 + corner);
+      const key = `${Math.round(point.x / tolerance)},${Math.round(point.y / tolerance)},${Math.round(point.z / tolerance)},${releaseOf[face]}`;
+      const owner = vertexOwners.get(key);
+      if (owner === undefined) {
+        vertexOwners.set(key, face);
+      } else {
+        parent[find(face)] = find(owner);
+      }
+    }
+  }
+
+  const regionsByRoot = new Map();
+  for (let face = 0; face < faces.count; face++) {
+    if (releaseOf[face] < 0) continue;
+    const root = find(face);
+    const region = regionsByRoot.get(root) || { area: 0, release: releaseOf[face], anchor: face };
+    region.area += faces.areas[face];
+    if (faces.areas[face] > faces.areas[region.anchor]) region.anchor = face;
+    regionsByRoot.set(root, region);
+  }
+
+  const minArea = Math.max(MOLDABILITY_RULES.minRegionArea, faces.totalArea * MOLDABILITY_RULES.minRegionAreaRatio);
+  const ray = new THREE.Ray();
+
+  return [...regionsByRoot.values()]
+    .filter(region => region.area >= minArea)
+    .map(region => {
+      // A slide can pull outward only if nothing stands in its way
+      const release = releaseAxes[region.release];
+      ray.origin.fromArray(faces.centroids, region.anchor * 3).addScaledVector(release, faces.diagonal * 1e-4);
+      ray.direction.copy(release);
+      const escapes = !bvh.raycastFirst(ray, THREE.DoubleSide, 0, faces.diagonal * 2);
+
+      return {
+        area: region.area,
+        releaseDirection: release.toArray(),
+        type: escapes ? 'slide' : 'lifter'
+      };
+    })
+    .sort((a, b) => b.area - a.area);
+};
+
+// Pick the pull direction with the least undercut area and report side actions for it;
+// onProgress gets the fraction of candidate directions scored
+export const analyzeParting = (geometry, orientation = 1, onProgress = () => {}) => {
+  const faces = computeFaceData(geometry, orientation);
+  const bvh = new MeshBVH(geometry, { indirect: true });
+  const isUndercut = createReleaseTester(faces, bvh);
+
+  const stride = Math.max(1, Math.ceil(faces.count / MOLDABILITY_RULES.maxScoringFaces));
+  const candidates = CANDIDATE_AXES.map((axis, index) => {
+    let undercutArea = 0;
+    for (let face = 0; face < faces.count; face += stride) {
+      if (isUndercut(face, axis)) undercutArea += faces.areas[face];
+    }
+    onProgress((index + 1) / (CANDIDATE_AXES.length + 1));
+    return { axis, undercutArea: undercutArea * stride, depth: depthAlong(geometry, axis) };
+  });
+
+  // Prefer less undercut, then a clearly shallower draw; remaining ties keep the earlier (axis-aligned) candidate
+  const tieArea = faces.totalArea * 0.01;
+  const tieDepth = faces.diagonal * 0.01;
+  const best = candidates.reduce((winner, candidate) => {
+    if (candidate.undercutArea < winner.undercutArea - tieArea) return candidate;
+    if (Math.abs(candidate.undercutArea - winner.undercutArea) <= tieArea && candidate.depth < winner.depth - tieDepth) return candidate;
+    return winner;
+  });
+
+  const undercutFaces = new Uint8Array(faces.count);
+  let undercutArea = 0;
+  for (let face = 0; face < faces.count; face++) {
+    if (isUndercut(face, best.axis)) {
+      undercutFaces[face] = 1;
+      undercutArea += faces.areas[face];
+    }
+  }
+
+  const regions = groupUndercutRegions(geometry, faces, undercutFaces, best.axis, bvh);
+  const slideDirections = new Set(regions.filter(r => r.type === 'slide').map(r => r.releaseDirection.join(',')));
+
+  return {
+    pullDirection: best.axis.clone(),
+    depth: best.depth,
+    undercutArea,
+    undercutAreaPercent: (undercutArea / faces.totalArea) * 100,
+    regions,
+    sideActions: slideDirections.size,
+    lifters: regions.filter(r => r.type === 'lifter').length,
+    undercutFaces
+  };
+};
+
+// Draft angle (degrees) of every face relative to the pull direction
+export const analyzeDraft = (geometry, pullDirection) => {
+  const position = geometry.getAttribute('position');
+  const count = position.count / 3;
+  const perFace = new Float32Array(count);
+  const triangle = new THREE.Triangle();
+  const normal = new THREE.Vector3();
+  const summary = { critical: 0, marginal: 0, adequate: 0 };
+  let totalArea = 0;
+
+  for (let face = 0; face < count; face++) {
+    triangle.a.fromBufferAttribute(position, face * 3);
+    triangle.b.fromBufferAttribute(position, face * 3 + 1);
+    triangle.c.fromBufferAttribute(position, face * 3 + 2);
+
+    const area = triangle.getArea();
+    const dot = Math.min(1, Math.abs(triangle.getNormal(normal).dot(pullDirection)));
+    const draft = THREE.MathUtils.radToDeg(Math.asin(dot));
+    perFace[face] = draft;
+    totalArea += area;
+
+    if (draft < MOLDABILITY_RULES.criticalDraft) summary.critical += area;
+    else if (draft < MOLDABILITY_RULES.minimumDraft) summary.marginal += area;
+    else summary.adequate += area;
+  }
+
+  const percent = (area) => (totalArea > 0 ? (area / totalArea) * 100 : 0);
+
+  return {
+    criticalArea: summary.critical,
+    marginalArea: summary.marginal,
+    adequateArea: summary.adequate,
+    criticalAreaPercent: percent(summary.critical),
+    marginalAreaPercent: percent(summary.marginal),
+    adequateAreaPercent: percent(summary.adequate),
+    perFace
+  };
+};
@@ -0,0 +1,44 @@
+import * as THREE from 'three';
+
+// Render the part once from the same isometric view the viewer opens with and return a PNG data URL
+export const renderPartThumbnail = (positions, size = 480) => {
+  const renderer = new THREE.WebGLRenderer({ antialias: true, preserveDrawingBuffer: true });
+  renderer.setSize(size, size);
+  renderer.setClearColor(0xffffff, 1);
+
+  const scene = new THREE.Scene();
+  scene.add(new THREE.HemisphereLight(0xffffff, 0x64748b, 1.2));
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.computeVertexNormals();
+  geometry.computeBoundingSphere();
+  const { center, radius } = geometry.boundingSphere;
+
+  const material = new THREE.MeshStandardMaterial({
+    color: '#64748b',
+    side: THREE.DoubleSide,
+    metalness: 0.1,
+    roughness: 0.6
+  });
+  scene.add(new THREE.Mesh(geometry, material));
+
+  const camera = new THREE.PerspectiveCamera(40, 1, radius / 100, radius * 100);
+  camera.position.copy(center).add(new THREE.Vector3(1, -1.2, 0.9).normalize().multiplyScalar(radius * 3));
+  camera.up.set(0, 0, 1);
+  camera.lookAt(center);
+
+  const light = new THREE.DirectionalLight(0xffffff, 1.0);
+  light.position.copy(camera.position);
+  scene.add(light);
+
+  try {
+    renderer.render(scene, camera);
+    return renderer.domElement.toDataURL('image/png');
+  } finally {
+    geometry.dispose();
+    material.dispose();
+    renderer.dispose();
+    renderer.forceContextLoss();
+  }
+};
@@ -0,0 +1,170 @@
+// Press catalog: the shop's injection molding machines, persisted in localStorage
+
+const STORAGE_KEY = 'imq.presses.v1';
+
+// Clamp force in tonnes, dimensions in mm, shot size in grams of resin
+export const DEFAULT_PRESSES = [
+  {
+    id: 1,
+    name: 'Small Press (50T)',
+    clampForce: 50,
+    hourlyRate: 65,
+    tieBarHorizontal: 300,
+    tieBarVertical: 300,
+    minMoldHeight: 150,
+    maxMoldHeight: 350,
+    platenWidth: 460,
+    platenHeight: 460,
+    shotSize: 90,
+    screwDiameter: 28,
+    available: true
+  },
+  {
+    id: 2,
+    name: 'Medium Press (150T)',
+    clampForce: 150,
+    hourlyRate: 85,
+    tieBarHorizontal: 450,
+    tieBarVertical: 450,
+    minMoldHeight: 200,
+    maxMoldHeight: 500,
+    platenWidth: 680,
+    platenHeight: 680,
+    shotSize: 300,
+    screwDiameter: 40,
+    available: true
+  },
+  {
+    id: 3,
+    name: 'Large Press (300T)',
+    clampForce: 300,
+    hourlyRate: 120,
+    tieBarHorizontal: 600,
+    tieBarVertical: 600,
+    minMoldHeight: 250,
+    maxMoldHeight: 650,
+    platenWidth: 900,
+    platenHeight: 900,
+    shotSize: 900,
+    screwDiameter: 55,
+    available: true
+  }
+];
+
+export const PRESS_FIELDS = [
+  { key: 'name', label: 'Name', type: 'text' },
+  { key: 'clampForce', label: 'Clamp Force (T)', type: 'number' },
+  { key: 'hourlyRate', label: 'Hourly Rate ($/hr)', type: 'number' },
+  { key: 'tieBarHorizontal', label: 'Tie-Bar Spacing H (mm)', type: 'number' },
+  { key: 'tieBarVertical', label: 'Tie-Bar Spacing V (mm)', type: 'number' },
+  { key: 'minMoldHeight', label: 'Min Mold Height (mm)', type: 'number' },
+  { key: 'maxMoldHeight', label: 'Max Mold Height (mm)', type: 'number' },
+  { key: 'platenWidth', label: 'Platen Width (mm)', type: 'number' },
+  { key: 'platenHeight', label: 'Platen Height (mm)', type: 'number' },
+  { key: 'shotSize', label: 'Shot Size (g)', type: 'number' },
+  { key: 'screwDiameter', label: 'Screw Diameter (mm)', type: 'number' },
+  { key: 'available', label: 'Available', type: 'boolean' }
+];
+
+// A shot may use at most 80% of the barrel and should use at least 20%
+export const PRESS_RULES = {
+  maxShotUsage: 0.8,
+  minShotUsage: 0.2
+};
+
+export const validatePress = (press) => {
+  if (!press.name || !String(press.name).trim()) {
+    throw new Error('Press name is required');
+  }
+  ['clampForce', 'hourlyRate', 'tieBarHorizontal', 'tieBarVertical', 'maxMoldHeight', 'shotSize'].forEach(key => {
+    if (!(press[key] > 0)) {
+      throw new Error(`${press.name}: ${key} must be greater than zero`);
+    }
+  });
+  if (press.minMoldHeight > press.maxMoldHeight) {
+    throw new Error(`${press.name}: minimum mold height exceeds maximum`);
+  }
+  return true;
+};
+
+export const normalizePress = (raw, id) => {
+  const press = { id };
+  PRESS_FIELDS.forEach(({ key, type }) => {
+    if (type === 'number') press[key] = parseFloat(raw[key]) || 0;
+    else if (type === 'boolean') press[key] = raw[key] === true || raw[key] === 'true';
+    else press[key] = String(raw[key] ?? '').trim();
+  });
+  validatePress(press);
+  return press;
+};
+
+export const loadPresses = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(stored) && stored.length > 0) return stored;
+  } catch (error) {
+    console.error('Could not read press catalog:', error);
+  }
+  return DEFAULT_PRESSES;
+};
+
+export const savePresses = (presses) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(presses));
+};
+
+export const nextPressId = (presses) => presses.reduce((max, p) => Math.max(max, p.id), 0) + 1;
+
+// Every reason a press cannot run the job; an empty list means it can
+const rejectionReasons = (press, job) => {
+  const reasons = [];
+  const fitsUpright = job.moldWidth <= press.tieBarHorizontal && job.moldHeight <= press.tieBarVertical;
+  const fitsRotated = job.moldHeight <= press.tieBarHorizontal && job.moldWidth <= press.tieBarVertical;
+
+  if (!press.available) {
+    reasons.push('Marked unavailable');
+  }
+  if (!fitsUpright && !fitsRotated) {
+    reasons.push(`Mold ${job.moldWidth.toFixed(0)}×${job.moldHeight.toFixed(0)}mm does not fit tie bars ${press.tieBarHorizontal}×${press.tieBarVertical}mm`);
+  }
+  if (Math.max(job.moldWidth, job.moldHeight) > Math.max(press.platenWidth, press.platenHeight)) {
+    reasons.push(`Mold overhangs ${press.platenWidth}×${press.platenHeight}mm platen`);
+  }
+  if (job.moldThickness < press.minMoldHeight || job.moldThickness > press.maxMoldHeight) {
+    reasons.push(`Mold height ${job.moldThickness.toFixed(0)}mm outside ${press.minMoldHeight}–${press.maxMoldHeight}mm`);
+  }
+  if (job.requiredTonnage > press.clampForce) {
+    reasons.push(`Needs ${job.requiredTonnage.toFixed(0)}T clamp, press has ${press.clampForce}T`);
+  }
+  if (job.shotWeight > press.shotSize * PRESS_RULES.maxShotUsage) {
+    reasons.push(`Shot ${job.shotWeight.toFixed(0)}g exceeds ${(PRESS_RULES.maxShotUsage * 100).toFixed(0)}% of ${press.shotSize}g capacity`);
+  }
+
+  return reasons;
+};
+
+// Conditions a press can live with but the estimator should know about
+const pressWarnings = (press, job) => {
+  const warnings = [];
+  if (job.shotWeight < press.shotSize * PRESS_RULES.minShotUsage) {
+    warnings.push(`Shot ${job.shotWeight.toFixed(1)}g is under ${(PRESS_RULES.minShotUsage * 100).toFixed(0)}% of the ${press.shotSize}g barrel — long residence time may degrade resin`);
+  }
+  return warnings;
+};
+
+// Smallest capable press for the job, with the verdict on every press in the catalog
+export const selectPress = (presses, job) => {
+  const evaluations = presses.map(press => ({
+    press,
+    reasons: rejectionReasons(press, job),
+    warnings: pressWarnings(press, job)
+  }));
+  const capable = evaluations
+    .filter(evaluation => evaluation.reasons.length === 0)
+    .sort((a, b) => a.press.clampForce - b.press.clampForce || a.press.hourlyRate - b.press.hourlyRate);
+
+  return {
+    press: capable.length > 0 ? capable[0].press : null,
+    warnings: capable.length > 0 ? capable[0].warnings : [],
+    evaluations
+  };
+};
@@ -0,0 +1,520 @@
+// Quote engine: the pricing rules and the pure quote calculation, shared by the app and the API server
+import { resinPriceForQuantity } from './materialsLibrary';
+import { selectPress } from './pressCatalog';
+import { planCavityLayout } from './cavityLayout';
+import { RUNNER_SYSTEMS, planRunner } from './runnerSystem';
+import { costSecondaryOperations } from './secondaryOperations';
+import { SURFACE_SPEC_KINDS, DEFAULT_SURFACE_SPECS, validateSurfaceSpec, selectSurfaceSpecs } from './surfaceSpecs';
+
+// Database and Rules based on industry research
+export const COLOR_OPTIONS = [
+  { id: 'natural', name: 'Natural (No additional cost)', premium: 0.00 },
+  { id: 'black', name: 'Black (+5% material cost)', premium: 0.05 },
+  { id: 'red', name: 'Red (+10% material cost)', premium: 0.10 }
+];
+
+export const RULES = {
+  scrapRate: 0.05,
+  minCycleTime: 6,
+  injectionRate: 40,
+  packTimePerMM: 1.0,
+  dryCycleTime: 2.5,
+  moldOpenSpeed: 300,
+  moldOpenClearance: 25,
+  ejectionTime: 1.0,
+  moldStackBase: 180,
+  moldStackPerMMDepth: 2,
+  clampSafetyFactor: 1.2,
+  sideActionCost: 4500,
+  lifterCost: 3000,
+  sideActionCycleTime: 2,
+  setupCost: 450,
+  samplingWeeks: 1,
+  productionHoursPerWeek: 120
+};
+
+export const STEEL_GRADES = [
+  { id: 'aluminum', name: 'Aluminum 7075 (prototype)', costMultiplier: 0.6, toolLife: 10000, buildWeeks: 3 },
+  { id: 'p20', name: 'P20 pre-hardened', costMultiplier: 1.0, toolLife: 250000, buildWeeks: 6 },
+  { id: 'h13', name: 'H13 hardened', costMultiplier: 1.4, toolLife: 1000000, buildWeeks: 8 },
+  { id: 's136', name: 'S136 stainless', costMultiplier: 1.6, toolLife: 1000000, buildWeeks: 9 }
+];
+
+export const COMPLEXITY_LEVELS = [
+  { id: 'simple', name: 'Simple', multiplier: 1.0 },
+  { id: 'moderate', name: 'Moderate', multiplier: 1.3 },
+  { id: 'complex', name: 'Complex', multiplier: 1.7 }
+];
+
+export const TOOLING_RULES = {
+  moldBaseFixed: 2500,
+  moldBaseCostPerCm2: 1.2,
+  cavityBaseCost: 4000,
+  cavityCostPerCm2: 25,
+  cavityCostPerMMDepth: 60,
+  additionalCavityFactor: 0.6,
+  buildWeeksPerAction: 0.5
+};
+
+// Commercial terms on top of the manufacturing cost. Machine rates are taken to include the operator
+// until an operator ratio is set; overhead, SG&A and profit are fractions like scrapRate
+export const COMMERCIAL_RULES = {
+  laborRate: 28,
+  operatorRatio: 0,
+  overheadRate: 0,
+  sgaRate: 0,
+  pricingMode: 'margin',
+  profitRate: 0,
+  packagingPerPart: 0,
+  shippingPerPart: 0
+};
+
+export const PRICING_MODES = [
+  { id: 'margin', name: 'Margin (share of the price)' },
+  { id: 'markup', name: 'Markup (on top of cost)' }
+];
+
+// What quotes are priced with before an admin saves any settings
+export const DEFAULT_SHOP_SETTINGS = {
+  version: 0,
+  savedAt: null,
+  values: { ...RULES, ...TOOLING_RULES, ...COMMERCIAL_RULES }
+};
+
+/**
+ * Throws an Error naming the first invalid shop setting. Every value is a non-negative number
+ * except the pricing mode, and a margin must stay below 100% of the price.
+ */
+export const validateShopSettings = (values) => {
+  Object.keys(DEFAULT_SHOP_SETTINGS.values).filter(key => key !== 'pricingMode').forEach(key => {
+    if (!(values[key] >= 0) || !Number.isFinite(values[key])) {
+      throw new Error(`Shop setting ${key} must be zero or more`);
+    }
+  });
+  ['minCycleTime', 'injectionRate', 'moldOpenSpeed', 'productionHoursPerWeek', 'clampSafetyFactor'].forEach(key => {
+    if (!(values[key] > 0)) {
+      throw new Error(`Shop setting ${key} must be greater than zero`);
+    }
+  });
+  if (!PRICING_MODES.some(mode => mode.id === values.pricingMode)) {
+    throw new Error(`Unknown pricing mode "${values.pricingMode}"`);
+  }
+  if (values.pricingMode === 'margin' && values.profitRate >= 1) {
+    throw new Error('Margin must be below 100% of the price');
+  }
+  return true;
+};
+
+// Ribs, bosses, uneven walls and missing draft all add machining and EDM time
+export const suggestComplexity = (analysis) => {
+  const { length, width, height } = analysis.dimensions;
+  const envelopeArea = 2 * (length * width + length * height + width * height) / 100;
+  let score = 0;
+
+  if (analysis.surfaceArea > envelopeArea * 1.5) score++;
+  if (analysis.thickness && analysis.thickness.max > analysis.thickness.min * 3) score++;
+  if (analysis.draft && analysis.draft.criticalAreaPercent > 5) score++;
+
+  return COMPLEXITY_LEVELS[Math.min(score, COMPLEXITY_LEVELS.length - 1)].id;
+};
+
+// Quote inputs measured from an analysed part
+export const partDataFromAnalysis = (analysis) => ({
+  volume: analysis.volume,
+  length: analysis.dimensions.length,
+  width: analysis.dimensions.width,
+  height: analysis.dimensions.height,
+  wallThickness: analysis.wallThickness,
+  projectedArea: analysis.projectedArea,
+  sideActions: analysis.parting.sideActions,
+  lifters: analysis.parting.lifters
+});
+
+// Cavity pressure is in bar; 1 bar acting on 1 cm² is 1.0197 kgf
+const BAR_CM2_TO_TONNES = 1.0197 / 1000;
+
+// Cooling time (s) for a plate cooled from both sides until its centre reaches ejection temperature
+const calculateCoolingTime = (wallThickness, resin) => {
+  const temperatureRatio = (8 / Math.PI ** 2)
+    * (resin.meltTemp - resin.moldTemp) / (resin.ejectTemp - resin.moldTemp);
+  const cooling = (wallThickness ** 2 / (Math.PI ** 2 * resin.thermalDiffusivity)) * Math.log(temperatureRatio);
+  return Math.max(0, cooling);
+};
+
+// Open far enough to clear the part (and pull the sprue, if any), close again, and eject (s)
+const calculateMoldMovementTime = (rules, depth, extraStroke = 0) => {
+  const stroke = 2 * depth + rules.moldOpenClearance + extraStroke;
+  return rules.dryCycleTime + (2 * stroke) / rules.moldOpenSpeed + rules.ejectionTime;
+};
+
+/**
+ * @typedef {Object} PartData Part geometry, from `partDataFromAnalysis` or typed in by the estimator
+ * @property {number} volume Part volume, cm³ (> 0)
+ * @property {number} length Longer side of the footprint across the pull direction, mm (> 0)
+ * @property {number} width Shorter side of the footprint across the pull direction, mm (> 0)
+ * @property {number} height Depth along the pull direction, mm (> 0)
+ * @property {number} wallThickness Nominal wall, mm (> 0)
+ * @property {number} projectedArea Area seen along the pull direction, cm² (> 0)
+ * @property {number} sideActions Slides needed for undercuts (whole number ≥ 0)
+ * @property {number} lifters Lifters needed for undercuts (whole number ≥ 0)
+ */
+
+/**
+ * @typedef {Object} QuoteInputs
+ * @property {PartData} partData
+ * @property {{ name: string, partData: PartData, count: number }[]} [familyParts] Other parts cut into the same mold
+ * @property {Object[]} materials Resin library (see materialsLibrary.js); `selectedResin` is an id in it
+ * @property {Object[]} presses Press catalog (see pressCatalog.js)
+ * @property {number} selectedResin
+ * @property {string} selectedColor COLOR_OPTIONS id
+ * @property {number} cavities Cavities of this part (whole number ≥ 1)
+ * @property {string} [runnerSystem] RUNNER_SYSTEMS id, default 'cold'
+ * @property {boolean} [allowRegrind] Reuse cold-runner scrap up to the resin's allowance, default true
+ * @property {string} steelGrade STEEL_GRADES id
+ * @property {string} complexity COMPLEXITY_LEVELS id
+ * @property {number} orderQuantity Parts ordered (≥ 0)
+ * @property {number} runSize Parts molded per setup (whole number ≥ 1)
+ * @property {{ version: number, savedAt: ?string, values: Object }} [settings] Shop settings, default DEFAULT_SHOP_SETTINGS
+ * @property {Object[]} [operations] Secondary operations catalog (see secondaryOperations.js)
+ * @property {{ id: number, count: number }[]} [selectedOperations] Operations done to every part, and how many times
+ * @property {Object} [surfaceSpecs] Finish, texture and tolerance catalog, default DEFAULT_SURFACE_SPECS (see surfaceSpecs.js)
+ * @property {string} [surfaceFinish] Finish id, default 'none'
+ * @property {string} [texture] Texture id, default 'none'
+ * @property {string} [tolerance] Tolerance class id, default 'standard'
+ */
+
+/**
+ * @typedef {Object} Quote Money in $, per part unless named otherwise; weights in g, times in s.
+ * When no press fits, only `pressError`, `pressEvaluations`, `requiredTonnage`, `shotWeight`,
+ * `moldSize`, `layout`, `runner`, `settingsVersion`, `selectedResin` and `selectedColor` are set.
+ * @property {string} [pressError]
+ * @property {number} materialWeight Part weight
+ * @property {number} resinCostPerKg Price at the order's resin volume
+ * @property {number} rawMaterialCost Resin in the part
+ * @property {number} runnerCost Runner scrap not covered by regrind
+ * @property {number} colorCost Colorant premium on the resin
+ * @property {number} totalMaterialCost
+ * @property {number} machineCostPerPart Press time at the selected press's hourly rate
+ * @property {number} laborCostPerPart Operators at the shop labor rate and operator ratio
+ * @property {number} scrapRate Shop scrap rate plus the finish, texture and tolerance additions
+ * @property {number} scrapCostPerPart
+ * @property {number} totalCostPerPart Material, machine time and labor including scrap
+ * @property {number} overheadCostPerPart Factory overhead on totalCostPerPart
+ * @property {number} toolingCost Whole mold, $ (moldBaseCost + cavityCost + familyCavityCost + sideActionToolingCost + runner.toolingCost + surfaceToolingCost)
+ * @property {number} surfaceToolingCost Polishing, texturing and tolerance work on this part's cavities, $
+ * @property {{ kind: string, id: string, name: string, toolingCost: number, cycleTime: number, scrapRate: number, costPerPart: number }[]} surfaceEffects
+ *   What each selected finish, texture and tolerance class adds; already inside the lines above, not on top of them
+ * @property {number} surfaceCostPerPart Every surface effect
+ * @property {number} toolingCostPerPart Tooling amortised over the order
+ * @property {number} setupCostPerPart Mold changes amortised over the order
+ * @property {{ id: number, name: string, count: number, setupCostPerPart: number, laborCostPerPart: number, materialCostPerPart: number, costPerPart: number }[]} secondaryOperations
+ * @property {number} secondaryCostPerPart Every secondary operation
+ * @property {number} packagingCostPerPart
+ * @property {number} shippingCostPerPart
+ * @property {number} fullCostPerPart Every cost above
+ * @property {number} sgaCostPerPart SG&A on fullCostPerPart
+ * @property {number} profitPerPart Margin or markup on full cost plus SG&A
+ * @property {number} landedCostPerPart The quoted price: fullCostPerPart + sgaCostPerPart + profitPerPart
+ * @property {number} partPrice Customer unit price with tooling billed separately: fullCostPerPart less
+ *   toolingCostPerPart, with SG&A and profit on that
+ * @property {number} settingsVersion Version of the shop settings the quote was priced with
+ * @property {number} cycleTime
+ * @property {Object} cycleBreakdown Fill, pack, cooling, mold movement and side-action times
+ * @property {number} partsPerHour
+ * @property {{ toolingWeeks: number, productionWeeks: number, totalWeeks: number }} leadTime
+ * @property {Object} selectedMachine The press chosen from the catalog
+ */
+
+const PART_DIMENSIONS = ['volume', 'length', 'width', 'height', 'wallThickness', 'projectedArea'];
+
+const checkPartData = (partData, label) => {
+  if (!partData) {
+    throw new Error(`${label}: part data is required`);
+  }
+  PART_DIMENSIONS.forEach(key => {
+    if (!(partData[key] > 0) || !Number.isFinite(partData[key])) {
+      throw new Error(`${label}: ${key} must be greater than zero`);
+    }
+  });
+  ['sideActions', 'lifters'].forEach(key => {
+    if (!(partData[key] >= 0)) {
+      throw new Error(`${label}: ${key} cannot be negative`);
+    }
+    if (!Number.isInteger(partData[key])) {
+      throw new Error(`${label}: ${key} must be a whole number`);
+    }
+  });
+};
+
+const checkOption = (options, id, name) => {
+  if (!options.some(option => option.id === id)) {
+    throw new Error(`Unknown ${name} "${id}". Use one of: ${options.map(option => option.id).join(', ')}`);
+  }
+};
+
+/**
+ * Throws an Error naming the first invalid input, the same way validateMaterial and validatePress do.
+ * computeQuote calls this itself; callers can use it to check inputs before pricing.
+ */
+export const validateQuoteInputs = ({ partData, familyParts = [], materials, presses, selectedResin, selectedColor, cavities, runnerSystem = 'cold', steelGrade, complexity, orderQuantity, runSize, settings = DEFAULT_SHOP_SETTINGS, operations = [], selectedOperations = [], surfaceSpecs = DEFAULT_SURFACE_SPECS, ...selection }) => {
+  checkPartData(partData, 'Part');
+  familyParts.forEach(part => {
+    checkPartData(part.partData, part.name || 'Family part');
+    if (!Number.isInteger(part.count) || part.count < 1) {
+      throw new Error(`${part.name || 'Family part'}: cavity count must be a whole number of at least 1`);
+    }
+  });
+  if (!Array.isArray(materials) || !materials.some(resin => resin.id === selectedResin)) {
+    throw new Error(`Unknown resin id "${selectedResin}"`);
+  }
+  if (!Array.isArray(presses)) {
+    throw new Error('Press catalog is required');
+  }
+  checkOption(COLOR_OPTIONS, selectedColor, 'color');
+  checkOption(RUNNER_SYSTEMS, runnerSystem, 'runner system');
+  checkOption(STEEL_GRADES, steelGrade, 'steel grade');
+  checkOption(COMPLEXITY_LEVELS, complexity, 'complexity');
+  if (!Number.isInteger(cavities) || cavities < 1) {
+    throw new Error('Cavities must be a whole number of at least 1');
+  }
+  if (!(orderQuantity >= 0) || !Number.isFinite(orderQuantity)) {
+    throw new Error('Order quantity cannot be negative');
+  }
+  if (!Number.isInteger(runSize) || runSize < 1) {
+    throw new Error('Run size must be a whole number of at least 1');
+  }
+  validateShopSettings({ ...DEFAULT_SHOP_SETTINGS.values, ...settings.values });
+  selectedOperations.forEach(({ id, count }) => {
+    if (!operations.some(operation => operation.id === id)) {
+      throw new Error(`Unknown secondary operation id "${id}"`);
+    }
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error('Secondary operation count must be a whole number of at least 1');
+    }
+  });
+  SURFACE_SPEC_KINDS.forEach(kind => {
+    checkOption(surfaceSpecs[kind.id] || [], selection[kind.input] ?? kind.fallback, kind.id);
+    surfaceSpecs[kind.id].forEach(validateSurfaceSpec);
+  });
+  return true;
+};
+
+/**
+ * Pure quote calculation so the same inputs can be re-priced at other quantities and cavity counts.
+ * @param {QuoteInputs} inputs
+ * @returns {Quote}
+ */
+export const computeQuote = (inputs) => {
+  validateQuoteInputs(inputs);
+  const { partData, familyParts = [], materials, presses, selectedResin, selectedColor, cavities, runnerSystem = 'cold', allowRegrind = true, steelGrade, complexity, orderQuantity, runSize, settings = DEFAULT_SHOP_SETTINGS, operations = [], selectedOperations = [], surfaceSpecs = DEFAULT_SURFACE_SPECS } = inputs;
+  // Settings saved before a rule existed fall back to its default
+  const rules = { ...DEFAULT_SHOP_SETTINGS.values, ...settings.values };
+  const resin = materials.find(r => r.id === selectedResin);
+  const color = COLOR_OPTIONS.find(c => c.id === selectedColor);
+  const steel = STEEL_GRADES.find(g => g.id === steelGrade);
+  const complexityLevel = COMPLEXITY_LEVELS.find(c => c.id === complexity);
+  const specs = selectSurfaceSpecs(surfaceSpecs, inputs);
+  const specTotal = (field) => specs.reduce((sum, spec) => sum + spec[field], 0);
+
+  const materialWeight = partData.volume * resin.density;
+
+  // Cavity layout: this part's cavities plus any family-mold companions share one plate and shot
+  const moldedParts = [{ name: 'Quoted part', partData, count: cavities }, ...familyParts];
+  const layout = planCavityLayout(moldedParts.map(({ name, partData: data, count }) => ({
+    name,
+    footprint: { length: data.length, width: data.width },
+    count
+  })));
+  const shotTotal = (field) => moldedParts.reduce((sum, { partData: data, count }) => sum + data[field] * count, 0);
+  const deepest = Math.max(...moldedParts.map(({ partData: data }) => data.height));
+  const thickestWall = Math.max(...moldedParts.map(({ partData: data }) => data.wallThickness));
+  const runner = planRunner({ type: runnerSystem, layout, wallThickness: thickestWall, resin });
+
+  // Mold Size Estimation
+  const moldWidth = layout.plateWidth;
+  const moldHeight = layout.plateHeight;
+  // Plates, clamp plates and ejector housing, plus core and cavity inserts deep enough for the part
+  const moldThickness = rules.moldStackBase + deepest * rules.moldStackPerMMDepth + runner.stackThickness;
+
+  // Clamp Tonnage
+  const requiredTonnage = shotTotal('projectedArea') * resin.cavityPressure
+    * BAR_CM2_TO_TONNES * rules.clampSafetyFactor;
+
+  // Press Selection: the barrel delivers the parts and the cold runner
+  const partsShotWeight = shotTotal('volume') * resin.density;
+  const shotWeight = partsShotWeight + runner.runnerWeight;
+  // Share of the mold, machine time, runner and setups carried by this part in a family mold
+  const partShare = partsShotWeight > 0 ? (materialWeight * cavities) / partsShotWeight : 1;
+  const selection = selectPress(presses, { moldWidth, moldHeight, moldThickness, requiredTonnage, shotWeight });
+  const moldSize = { width: moldWidth, height: moldHeight, thickness: moldThickness };
+
+  if (!selection.press) {
+    return {
+      pressError: `No press in the shop can run a ${cavities}-cavity mold for this part`,
+      pressEvaluations: selection.evaluations,
+      requiredTonnage,
+      shotWeight,
+      moldSize,
+      layout,
+      runner,
+      settingsVersion: settings.version,
+      selectedResin: resin,
+      selectedColor: color
+    };
+  }
+  const suitableMachine = selection.press;
+
+  // Material Calculations: runner scrap beyond the resin's regrind allowance is bought as virgin resin
+  const reusedRegrind = allowRegrind ? Math.min(runner.runnerWeight, shotWeight * resin.regrindAllowance / 100) : 0;
+  const runnerWeightPerPart = (runner.runnerWeight - reusedRegrind) * partShare / cavities;
+  const resinCostPerKg = resinPriceForQuantity(resin, (materialWeight + runnerWeightPerPart) * orderQuantity / 1000);
+  const rawMaterialCost = materialWeight * resinCostPerKg / 1000;
+  const runnerCost = runnerWeightPerPart * resinCostPerKg / 1000;
+  const colorCost = (rawMaterialCost + runnerCost) * color.premium;
+  const totalMaterialCost = rawMaterialCost + runnerCost + colorCost;
+
+  // Side actions and lifters add tooling and slow every shot
+  const actionCount = shotTotal('sideActions') + shotTotal('lifters');
+  const sideActionToolingCost = shotTotal('sideActions') * rules.sideActionCost + shotTotal('lifters') * rules.lifterCost;
+  const sideActionCycleTime = actionCount * rules.sideActionCycleTime;
+
+  // Tooling Cost: the first cavity of each part is cut in full, copies at the additional-cavity factor
+  const moldBaseCost = rules.moldBaseFixed + (moldWidth * moldHeight / 100) * rules.moldBaseCostPerCm2;
+  const cavitySetCost = (data, count) => (rules.cavityBaseCost
+    + data.projectedArea * rules.cavityCostPerCm2
+    + data.height * rules.cavityCostPerMMDepth) * complexityLevel.multiplier * steel.costMultiplier
+    * (1 + (count - 1) * rules.additionalCavityFactor);
+  const cavityCost = cavitySetCost(partData, cavities);
+  const familyCavityCost = familyParts.reduce((sum, part) => sum + cavitySetCost(part.partData, part.count), 0);
+  // Finish, texture and tolerance are specified for the quoted part, so only its cavities carry the work
+  const surfaceToolingCost = cavityCost * specTotal('toolingRate');
+  const toolingCost = moldBaseCost + cavityCost + familyCavityCost + sideActionToolingCost + runner.toolingCost + surfaceToolingCost;
+  const toolLifeExceeded = orderQuantity / cavities > steel.toolLife;
+
+  // Cycle Time Estimation: the whole shot fills, the thickest wall or a cold runner sets the cooling,
+  // and the deepest part plus any sprue sets the opening stroke
+  const cycleBreakdown = {
+    fill: (shotTotal('volume') + runner.runnerVolume) / rules.injectionRate,
+    pack: thickestWall * rules.packTimePerMM,
+    cooling: Math.max(calculateCoolingTime(thickestWall, resin), runner.coolingTime),
+    moldMovement: calculateMoldMovementTime(rules, deepest, runner.extraStroke),
+    sideActions: sideActionCycleTime
+  };
+  const moldingTime = Object.values(cycleBreakdown).reduce((sum, time) => sum + time, 0);
+  cycleBreakdown.surfaceSpecs = moldingTime * specTotal('cycleRate');
+  const baseCycleTime = Object.values(cycleBreakdown).reduce((sum, time) => sum + time, 0);
+  const cycleTime = Math.max(baseCycleTime, rules.minCycleTime);
+  const partsPerHour = (3600 / cycleTime) * cavities;
+  const machineCostPerPart = suitableMachine.hourlyRate * partShare / partsPerHour;
+  const laborCostPerPart = rules.laborRate * rules.operatorRatio * partShare / partsPerHour;
+
+  // Lead time: build and sample the tool, then mold the order
+  const toolingWeeks = Math.ceil(steel.buildWeeks * complexityLevel.multiplier
+    + actionCount * rules.buildWeeksPerAction + runner.buildWeeks + rules.samplingWeeks);
+  const productionWeeks = Math.ceil(orderQuantity / partsPerHour / rules.productionHoursPerWeek);
+  const leadTime = { toolingWeeks, productionWeeks, totalWeeks: toolingWeeks + productionWeeks };
+
+  // Final Cost Calculation
+  const costBeforeScrap = totalMaterialCost + machineCostPerPart + laborCostPerPart;
+  const scrapRate = rules.scrapRate + specTotal('scrapRate');
+  const scrapCostPerPart = costBeforeScrap * scrapRate;
+  const totalCostPerPart = costBeforeScrap + scrapCostPerPart;
+  const overheadCostPerPart = totalCostPerPart * rules.overheadRate;
+  const toolingCostPerPart = orderQuantity > 0 ? toolingCost * partShare / orderQuantity : 0;
+
+  // Every production run pays for a mold change and start-up
+  const productionRuns = Math.max(1, Math.ceil(orderQuantity / runSize));
+  const setupCostPerPart = orderQuantity > 0 ? (productionRuns * rules.setupCost * partShare) / orderQuantity : 0;
+
+  // Post-molding work is done to every part, so it is not shared with family-mold companions
+  const secondaryOperations = costSecondaryOperations(operations, selectedOperations, { orderQuantity, productionRuns });
+  const secondaryCostPerPart = secondaryOperations.reduce((sum, operation) => sum + operation.costPerPart, 0);
+
+  // Each spec's share of the tooling, of the cycle time the press actually runs beyond its floor, and of the scrap
+  const addedCycleTime = cycleTime - Math.max(moldingTime, rules.minCycleTime);
+  const costPerSecond = (machineCostPerPart + laborCostPerPart) / cycleTime;
+  const surfaceEffects = specs.map(spec => {
+    const specCycleTime = cycleBreakdown.surfaceSpecs > 0 ? addedCycleTime * moldingTime * spec.cycleRate / cycleBreakdown.surfaceSpecs : 0;
+    const specToolingCost = cavityCost * spec.toolingRate;
+    return {
+      kind: spec.kind,
+      id: spec.id,
+      name: spec.name,
+      toolingCost: specToolingCost,
+      cycleTime: specCycleTime,
+      scrapRate: spec.scrapRate,
+      costPerPart: (orderQuantity > 0 ? specToolingCost * partShare / orderQuantity : 0)
+        + specCycleTime * costPerSecond * (1 + scrapRate)
+        + costBeforeScrap * spec.scrapRate
+    };
+  });
+  const surfaceCostPerPart = surfaceEffects.reduce((sum, effect) => sum + effect.costPerPart, 0);
+
+  const fullCostPerPart = totalCostPerPart + overheadCostPerPart + toolingCostPerPart + setupCostPerPart
+    + secondaryCostPerPart + rules.packagingPerPart + rules.shippingPerPart;
+
+  // SG&A and profit: a margin is a share of the selling price, a markup a share of the cost
+  const sgaCostPerPart = fullCostPerPart * rules.sgaRate;
+  const costWithSGA = fullCostPerPart + sgaCostPerPart;
+  const withProfit = (cost) => (rules.pricingMode === 'margin' ? cost / (1 - rules.profitRate) : cost * (1 + rules.profitRate));
+  const profitPerPart = withProfit(costWithSGA) - costWithSGA;
+  const landedCostPerPart = costWithSGA + profitPerPart;
+  // Customer part price when the tool is billed once: SG&A and profit on the costs other than tooling
+  const partPrice = withProfit((fullCostPerPart - toolingCostPerPart) * (1 + rules.sgaRate));
+
+  return {
+    materialWeight,
+    resinCostPerKg,
+    rawMaterialCost,
+    runner,
+    reusedRegrind,
+    runnerWeightPerPart,
+    runnerCost,
+    colorCost,
+    totalMaterialCost,
+    moldSize,
+    layout,
+    partShare,
+    shotWeight,
+    selectedMachine: suitableMachine,
+    pressEvaluations: selection.evaluations,
+    pressWarnings: selection.warnings,
+    requiredTonnage,
+    sideActionToolingCost,
+    sideActionCycleTime,
+    moldBaseCost,
+    cavityCost,
+    familyCavityCost,
+    surfaceToolingCost,
+    toolingCost,
+    toolingCostPerPart,
+    productionRuns,
+    setupCostPerPart,
+    toolLifeExceeded,
+    selectedSteel: steel,
+    cycleTime,
+    cycleBreakdown,
+    partsPerHour,
+    leadTime,
+    machineCostPerPart,
+    laborCostPerPart,
+    scrapRate,
+    scrapCostPerPart,
+    totalCostPerPart,
+    overheadCostPerPart,
+    secondaryOperations,
+    secondaryCostPerPart,
+    surfaceEffects,
+    surfaceCostPerPart,
+    packagingCostPerPart: rules.packagingPerPart,
+    shippingCostPerPart: rules.shippingPerPart,
+    fullCostPerPart,
+    sgaCostPerPart,
+    profitPerPart,
+    landedCostPerPart,
+    partPrice,
+    settingsVersion: settings.version,
+    selectedResin: resin,
+    selectedColor: color
+  };
+};
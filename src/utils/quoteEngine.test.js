@@ -0,0 +1,186 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_SHOP_SETTINGS, computeQuote, validateQuoteInputs } from './quoteEngine';
+import { DEFAULT_MATERIALS } from './materialsLibrary';
+import { DEFAULT_PRESSES } from './pressCatalog';
+import { DEFAULT_OPERATIONS } from './secondaryOperations';
+
+const PART = { volume: 25, length: 80, width: 40, height: 60, wallThickness: 2.5, projectedArea: 48, sideActions: 1, lifters: 0 };
+
+const baseInputs = (overrides = {}) => ({
+  partData: PART,
+  materials: DEFAULT_MATERIALS,
+  presses: DEFAULT_PRESSES,
+  selectedResin: 1,
+  selectedColor: 'black',
+  cavities: 2,
+  runnerSystem: 'cold',
+  allowRegrind: false,
+  steelGrade: 'p20',
+  complexity: 'simple',
+  orderQuantity: 10000,
+  runSize: 4000,
+  ...overrides
+});
+
+const withSettings = (values) => ({ version: 7, savedAt: '2026-01-01T00:00:00.000Z', values: { ...DEFAULT_SHOP_SETTINGS.values, ...values } });
+
+describe('computeQuote cost lines', () => {
+  const settings = withSettings({
+    operatorRatio: 0.5,
+    overheadRate: 0.1,
+    sgaRate: 0.08,
+    profitRate: 0.3,
+    packagingPerPart: 0.02,
+    shippingPerPart: 0.03
+  });
+  const quote = computeQuote(baseInputs({
+    settings,
+    operations: DEFAULT_OPERATIONS,
+    selectedOperations: [{ id: 1, count: 2 }, { id: 4, count: 1 }]
+  }));
+  const rules = settings.values;
+  const resin = DEFAULT_MATERIALS[0];
+
+  it('prices the part resin at the order volume', () => {
+    expect(quote.materialWeight).toBeCloseTo(PART.volume * resin.density, 10);
+    expect(quote.rawMaterialCost).toBeCloseTo(quote.materialWeight * quote.resinCostPerKg / 1000, 10);
+  });
+
+  it('charges the whole cold runner per part when regrind is off', () => {
+    expect(quote.reusedRegrind).toBe(0);
+    expect(quote.runnerWeightPerPart).toBeCloseTo(quote.runner.runnerWeight / 2, 10);
+    expect(quote.runnerCost).toBeCloseTo(quote.runnerWeightPerPart * quote.resinCostPerKg / 1000, 10);
+  });
+
+  it('adds the color premium on resin and runner', () => {
+    expect(quote.colorCost).toBeCloseTo((quote.rawMaterialCost + quote.runnerCost) * 0.05, 10);
+    expect(quote.totalMaterialCost).toBeCloseTo(quote.rawMaterialCost + quote.runnerCost + quote.colorCost, 10);
+  });
+
+  it('charges machine time and labor per part from the cycle', () => {
+    expect(quote.partsPerHour).toBeCloseTo(3600 / quote.cycleTime * 2, 10);
+    expect(quote.machineCostPerPart).toBeCloseTo(quote.selectedMachine.hourlyRate / quote.partsPerHour, 10);
+    expect(quote.laborCostPerPart).toBeCloseTo(rules.laborRate * rules.operatorRatio / quote.partsPerHour, 10);
+  });
+
+  it('applies scrap and overhead to the piece cost', () => {
+    const beforeScrap = quote.totalMaterialCost + quote.machineCostPerPart + quote.laborCostPerPart;
+    expect(quote.scrapRate).toBe(rules.scrapRate);
+    expect(quote.scrapCostPerPart).toBeCloseTo(beforeScrap * rules.scrapRate, 10);
+    expect(quote.totalCostPerPart).toBeCloseTo(beforeScrap + quote.scrapCostPerPart, 10);
+    expect(quote.overheadCostPerPart).toBeCloseTo(quote.totalCostPerPart * rules.overheadRate, 10);
+  });
+
+  it('amortizes tooling and setups over the order', () => {
+    expect(quote.toolingCost).toBeCloseTo(quote.moldBaseCost + quote.cavityCost + quote.familyCavityCost
+      + quote.sideActionToolingCost + quote.runner.toolingCost + quote.surfaceToolingCost, 6);
+    // One side action in each of the two cavities
+    expect(quote.sideActionToolingCost).toBe(2 * rules.sideActionCost);
+    expect(quote.toolingCostPerPart).toBeCloseTo(quote.toolingCost / 10000, 10);
+    expect(quote.productionRuns).toBe(3);
+    expect(quote.setupCostPerPart).toBeCloseTo(3 * rules.setupCost / 10000, 10);
+  });
+
+  it('prices each secondary operation on its own line', () => {
+    const [printing, assembly] = quote.secondaryOperations;
+    expect(printing).toMatchObject({ id: 1, count: 2 });
+    expect(printing.setupCostPerPart).toBeCloseTo(3 * 150 / 10000, 10);
+    expect(printing.laborCostPerPart).toBeCloseTo(2 * 4 / 3600 * 32, 10);
+    expect(printing.materialCostPerPart).toBeCloseTo(2 * 0.01, 10);
+    expect(assembly.costPerPart).toBeCloseTo(3 * 75 / 10000 + 20 / 3600 * 28, 10);
+    expect(quote.secondaryCostPerPart).toBeCloseTo(printing.costPerPart + assembly.costPerPart, 10);
+  });
+
+  it('passes packaging and freight through per part', () => {
+    expect(quote.packagingCostPerPart).toBe(0.02);
+    expect(quote.shippingCostPerPart).toBe(0.03);
+  });
+
+  it('builds the landed price from full cost, SG&A and margin', () => {
+    const full = quote.totalCostPerPart + quote.overheadCostPerPart + quote.toolingCostPerPart + quote.setupCostPerPart
+      + quote.secondaryCostPerPart + 0.02 + 0.03;
+    expect(quote.fullCostPerPart).toBeCloseTo(full, 10);
+    expect(quote.sgaCostPerPart).toBeCloseTo(full * 0.08, 10);
+    expect(quote.profitPerPart).toBeCloseTo(full * 1.08 * 0.3 / 0.7, 10);
+    expect(quote.landedCostPerPart).toBeCloseTo(full * 1.08 / 0.7, 10);
+    // A 30% margin is 30% of the selling price
+    expect(quote.profitPerPart / quote.landedCostPerPart).toBeCloseTo(0.3, 10);
+    expect(quote.settingsVersion).toBe(7);
+  });
+
+  it('prices the part without tooling, SG&A or margin on the tooling', () => {
+    const partCost = quote.fullCostPerPart - quote.toolingCostPerPart;
+    expect(quote.partPrice).toBeCloseTo(partCost * 1.08 / 0.7, 10);
+    // Billing the tool once leaves no overhead or profit on it in the part price
+    expect(quote.landedCostPerPart - quote.partPrice).toBeCloseTo(quote.toolingCostPerPart * 1.08 / 0.7, 10);
+    expect(quote.partPrice).toBeLessThan(quote.landedCostPerPart - quote.toolingCostPerPart);
+  });
+
+  it('applies a markup on cost', () => {
+    const markup = computeQuote(baseInputs({ settings: withSettings({ pricingMode: 'markup', profitRate: 0.25 }) }));
+    expect(markup.profitPerPart).toBeCloseTo((markup.fullCostPerPart + markup.sgaCostPerPart) * 0.25, 10);
+    expect(markup.landedCostPerPart).toBeCloseTo(markup.fullCostPerPart * 1.25, 10);
+    expect(markup.partPrice).toBeCloseTo((markup.fullCostPerPart - markup.toolingCostPerPart) * 1.25, 10);
+  });
+
+  it('leaves runner scrap out with a hot runner and adds its tooling', () => {
+    const hot = computeQuote(baseInputs({ runnerSystem: 'hot' }));
+    expect(hot.runnerCost).toBe(0);
+    expect(hot.runner.toolingCost).toBeGreaterThan(0);
+  });
+
+  it('adds finish and tolerance tooling and scrap', () => {
+    const plain = computeQuote(baseInputs());
+    const polished = computeQuote(baseInputs({ surfaceFinish: 'spi-a1', tolerance: 'fine' }));
+    expect(polished.surfaceToolingCost).toBeCloseTo(plain.cavityCost * (0.35 + 0.15), 6);
+    expect(polished.scrapRate).toBeCloseTo(plain.scrapRate + 0.03 + 0.02, 10);
+    expect(polished.cycleTime).toBeGreaterThan(plain.cycleTime);
+    expect(plain.surfaceCostPerPart).toBe(0);
+  });
+
+  it('reports a press error instead of a price when no press fits', () => {
+    const quote = computeQuote(baseInputs({ presses: [] }));
+    expect(quote.pressError).toMatch(/No press/);
+    expect(quote.landedCostPerPart).toBeUndefined();
+  });
+});
+
+describe('validateQuoteInputs', () => {
+  it('accepts the base inputs', () => {
+    expect(validateQuoteInputs(baseInputs())).toBe(true);
+  });
+
+  it.each([
+    ['missing part data', { partData: undefined }, 'Part: part data is required'],
+    ['zero volume', { partData: { ...PART, volume: 0 } }, 'Part: volume must be greater than zero'],
+    ['infinite length', { partData: { ...PART, length: Infinity } }, 'Part: length must be greater than zero'],
+    ['negative side actions', { partData: { ...PART, sideActions: -1 } }, 'Part: sideActions cannot be negative'],
+    ['fractional side actions', { partData: { ...PART, sideActions: 1.5 } }, 'Part: sideActions must be a whole number'],
+    ['fractional lifters', { partData: { ...PART, lifters: 0.5 } }, 'Part: lifters must be a whole number'],
+    ['bad family part', { familyParts: [{ name: 'Lid', partData: { ...PART, width: 0 }, count: 1 }] }, 'Lid: width must be greater than zero'],
+    ['family cavity count', { familyParts: [{ name: 'Lid', partData: PART, count: 0 }] }, 'Lid: cavity count must be a whole number of at least 1'],
+    ['unknown resin', { selectedResin: 99 }, 'Unknown resin id "99"'],
+    ['no press catalog', { presses: undefined }, 'Press catalog is required'],
+    ['unknown color', { selectedColor: 'blue' }, 'Unknown color "blue"'],
+    ['unknown runner', { runnerSystem: 'valve' }, 'Unknown runner system "valve"'],
+    ['unknown steel', { steelGrade: 'mild' }, 'Unknown steel grade "mild"'],
+    ['unknown complexity', { complexity: 'extreme' }, 'Unknown complexity "extreme"'],
+    ['fractional cavities', { cavities: 1.5 }, 'Cavities must be a whole number of at least 1'],
+    ['zero cavities', { cavities: 0 }, 'Cavities must be a whole number of at least 1'],
+    ['negative quantity', { orderQuantity: -1 }, 'Order quantity cannot be negative'],
+    ['negative run size', { runSize: -5 }, 'Run size must be a whole number of at least 1'],
+    ['zero run size', { runSize: 0 }, 'Run size must be a whole number of at least 1'],
+    ['bad shop setting', { settings: withSettings({ scrapRate: -0.1 }) }, 'Shop setting scrapRate must be zero or more'],
+    ['zero injection rate', { settings: withSettings({ injectionRate: 0 }) }, 'Shop setting injectionRate must be greater than zero'],
+    ['unknown pricing mode', { settings: withSettings({ pricingMode: 'cost-plus' }) }, 'Unknown pricing mode "cost-plus"'],
+    ['100% margin', { settings: withSettings({ profitRate: 1 }) }, 'Margin must be below 100% of the price'],
+    ['unknown operation', { operations: DEFAULT_OPERATIONS, selectedOperations: [{ id: 42, count: 1 }] }, 'Unknown secondary operation id "42"'],
+    ['operation count', { operations: DEFAULT_OPERATIONS, selectedOperations: [{ id: 1, count: 0 }] }, 'Secondary operation count must be a whole number of at least 1'],
+    ['unknown finish', { surfaceFinish: 'mirror' }, 'Unknown finish "mirror"'],
+    ['unknown texture', { texture: 'mt-9' }, 'Unknown texture "mt-9"'],
+    ['unknown tolerance', { tolerance: 'ultra' }, 'Unknown tolerance "ultra"']
+  ])('rejects %s', (_, overrides, message) => {
+    expect(() => validateQuoteInputs(baseInputs(overrides))).toThrow(message);
+    expect(() => computeQuote(baseInputs(overrides))).toThrow(message);
+  });
+});
@@ -0,0 +1,249 @@
+// PDF quote documents: a customer quote, and an internal copy that adds the full cost build-up
+import { SURFACE_SPEC_KINDS } from './surfaceSpecs';
+
+export const COMPANY = {
+  name: 'Precision Injection Molding',
+  address: '1200 Industrial Parkway, Suite 4',
+  city: 'Grand Rapids, MI 49512',
+  phone: '(616) 555-0142',
+  email: 'quotes@precisionmolding.example'
+};
+
+export const QUOTE_VALIDITY_DAYS = 30;
+
+export const QUOTE_TERMS = [
+  'Tooling: 50% due with purchase order, balance on approval of first article samples.',
+  'Production: net 30 days from invoice. Prices are FOB our facility.',
+  'Quantities shipped may vary by +/-5% of the ordered quantity.',
+  'Resin prices are subject to adjustment if supplier pricing changes by more than 5%.',
+  'Molds remain customer property and are maintained at our cost for the quoted tool life.',
+  'Lead time begins on receipt of purchase order, approved CAD data and deposit.'
+];
+
+const PAGE = { width: 210, height: 297, margin: 18 };
+
+const money = (value, digits = 2) => `$${value.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits })}`;
+
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+// Q-YYMMDD-HHMM from the issue time, unique enough for one estimator
+export const generateQuoteNumber = (date = new Date()) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `Q-${String(date.getFullYear()).slice(2)}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`;
+};
+
+// Line items of the internal cost build-up, mirroring the Cost Breakdown panel; commercial lines only when set
+const costLines = (results, orderQuantity, rules) => [
+  [`Part resin (${results.materialWeight.toFixed(1)} g @ ${money(results.resinCostPerKg)}/kg)`, money(results.rawMaterialCost, 4)],
+  [`Runner scrap (${results.runnerWeightPerPart.toFixed(2)} g net of regrind)`, money(results.runnerCost, 4)],
+  ['Color premium', money(results.colorCost, 4)],
+  ['Net material', money(results.totalMaterialCost, 4)],
+  ['Machine time', money(results.machineCostPerPart, 4)],
+  results.laborCostPerPart > 0 && [`Operator labor (${rules.operatorRatio} per press @ ${money(rules.laborRate)}/hr)`, money(results.laborCostPerPart, 4)],
+  [`Scrap factor (${+(results.scrapRate * 100).toFixed(2)}%)`, money(results.scrapCostPerPart, 4)],
+  ['Piece price', money(results.totalCostPerPart, 4)],
+  results.overheadCostPerPart > 0 && [`Factory overhead (${+(rules.overheadRate * 100).toFixed(2)}%)`, money(results.overheadCostPerPart, 4)],
+  [`Tooling amortization (${orderQuantity.toLocaleString()} parts)`, money(results.toolingCostPerPart, 4)],
+  [`Setup (${results.productionRuns} run${results.productionRuns === 1 ? '' : 's'} x ${money(rules.setupCost, 0)})`, money(results.setupCostPerPart, 4)],
+  ...results.secondaryOperations.map(operation => [`${operation.name}${operation.count > 1 ? ` x${operation.count}` : ''}`, money(operation.costPerPart, 4)]),
+  results.packagingCostPerPart > 0 && ['Packaging', money(results.packagingCostPerPart, 4)],
+  results.shippingCostPerPart > 0 && ['Freight', money(results.shippingCostPerPart, 4)],
+  results.sgaCostPerPart > 0 && [`SG&A (${+(rules.sgaRate * 100).toFixed(2)}% of full cost)`, money(results.sgaCostPerPart, 4)],
+  results.profitPerPart > 0 && [`Profit (${+(rules.profitRate * 100).toFixed(2)}% ${rules.pricingMode})`, money(results.profitPerPart, 4)],
+  ['Landed cost', money(results.landedCostPerPart, 4)]
+].filter(Boolean);
+
+export const buildQuotePdf = async ({
+  variant,
+  quoteNumber,
+  customer,
+  partNumber,
+  fileName,
+  validityDays = QUOTE_VALIDITY_DAYS,
+  inputs,
+  results,
+  quantityRows,
+  thumbnail,
+  rules,
+  issuedAt = new Date()
+}) => {
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const right = PAGE.width - PAGE.margin;
+  let y = PAGE.margin;
+
+  const ensureSpace = (height) => {
+    if (y + height > PAGE.height - PAGE.margin) {
+      doc.addPage();
+      y = PAGE.margin;
+    }
+  };
+
+  const heading = (text) => {
+    ensureSpace(14);
+    y += 4;
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(11);
+    doc.text(text, PAGE.margin, y);
+    doc.setDrawColor(203, 213, 225);
+    doc.line(PAGE.margin, y + 1.5, right, y + 1.5);
+    y += 7;
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9.5);
+  };
+
+  const row = (label, value, x = PAGE.margin, width = right - PAGE.margin) => {
+    ensureSpace(6);
+    doc.text(label, x, y);
+    doc.text(String(value), x + width, y, { align: 'right' });
+    y += 5.5;
+  };
+
+  const table = (headers, rows, widths) => {
+    const columns = widths.reduce((xs, w) => [...xs, xs[xs.length - 1] + w], [PAGE.margin]);
+    const cell = (text, index) => (index === 0
+      ? doc.text(String(text), columns[0], y)
+      : doc.text(String(text), columns[index + 1], y, { align: 'right' }));
+
+    ensureSpace(12);
+    doc.setFont('helvetica', 'bold');
+    headers.forEach(cell);
+    doc.setFont('helvetica', 'normal');
+    y += 6;
+    rows.forEach(cells => {
+      ensureSpace(6);
+      cells.forEach(cell);
+      y += 5.5;
+    });
+  };
+
+  // Header
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(16);
+  doc.text(COMPANY.name, PAGE.margin, y + 4);
+  doc.setFontSize(18);
+  doc.text(variant === 'internal' ? 'INTERNAL QUOTE' : 'QUOTATION', right, y + 4, { align: 'right' });
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  [COMPANY.address, COMPANY.city, `${COMPANY.phone} | ${COMPANY.email}`].forEach((line, index) => {
+    doc.text(line, PAGE.margin, y + 10 + index * 4.5);
+  });
+
+  const validUntil = new Date(issuedAt.getTime() + validityDays * 86400000);
+  [
+    ['Quote No.', quoteNumber],
+    ['Date', isoDate(issuedAt)],
+    ['Valid Until', isoDate(validUntil)]
+  ].forEach(([label, value], index) => {
+    doc.text(`${label}: ${value}`, right, y + 10 + index * 4.5, { align: 'right' });
+  });
+  y += 28;
+
+  if (variant === 'internal') {
+    doc.setFillColor(254, 226, 226);
+    doc.rect(PAGE.margin, y - 4, right - PAGE.margin, 7, 'F');
+    doc.setTextColor(153, 27, 27);
+    doc.text('INTERNAL - contains cost build-up. Do not send to customer.', PAGE.margin + 2, y);
+    doc.setTextColor(0, 0, 0);
+    y += 8;
+  }
+
+  // Customer and part, with the thumbnail alongside
+  heading('Customer & Part');
+  const thumbnailSize = 48;
+  const detailsWidth = thumbnail ? right - PAGE.margin - thumbnailSize - 6 : right - PAGE.margin;
+  const top = y;
+  if (thumbnail) {
+    doc.addImage(thumbnail, 'PNG', right - thumbnailSize, top - 4, thumbnailSize, thumbnailSize);
+    doc.setDrawColor(203, 213, 225);
+    doc.rect(right - thumbnailSize, top - 4, thumbnailSize, thumbnailSize);
+  }
+  const { partData } = inputs;
+  [
+    ['Customer', customer || '-'],
+    ['Part Number', partNumber || '-'],
+    ['CAD File', fileName || '-'],
+    ['Envelope', `${partData.length.toFixed(1)} x ${partData.width.toFixed(1)} x ${partData.height.toFixed(1)} mm`],
+    ['Part Volume', `${partData.volume.toFixed(2)} cm3`],
+    ['Part Weight', `${results.materialWeight.toFixed(1)} g`],
+    ['Material', results.selectedResin.name],
+    ['Color', results.selectedColor.name.split(' (')[0]],
+    ...results.surfaceEffects.map(effect => [SURFACE_SPEC_KINDS.find(kind => kind.id === effect.kind).name, effect.name]),
+    ['Cavities', String(inputs.cavities)]
+  ].forEach(([label, value]) => row(label, value, PAGE.margin, detailsWidth));
+  y = Math.max(y, top + thumbnailSize);
+
+  // Pricing
+  heading('Pricing');
+  table(
+    ['Quantity', 'Unit Price', 'Extended'],
+    quantityRows.map(q => [q.quantity.toLocaleString(), money(q.unitPrice, 4), money(q.unitPrice * q.quantity)]),
+    [70, 52, 52]
+  );
+  y += 2;
+  row(`Tooling: ${inputs.cavities}-cavity ${results.selectedSteel.name} mold (one-time)`, money(results.toolingCost, 0));
+  if (results.secondaryOperations.length > 0) {
+    row('Secondary operations (in unit price)', results.secondaryOperations.map(operation => operation.name).join(', '));
+  }
+  row('Tool life', `~${results.selectedSteel.toolLife.toLocaleString()} shots`);
+  row('Lead time to first article samples', `${results.leadTime.toolingWeeks} weeks`);
+  row(`Lead time to ${inputs.orderQuantity.toLocaleString()} parts shipped`, `${results.leadTime.totalWeeks} weeks`);
+
+  if (variant === 'internal') {
+    heading('Cost Breakdown (per part)');
+    costLines(results, inputs.orderQuantity, rules).forEach(([label, value]) => row(label, value));
+    results.surfaceEffects.filter(effect => effect.costPerPart > 0).forEach(effect => row(
+      `${effect.name} (in the lines above)`,
+      `${money(effect.costPerPart, 4)} incl. ${money(effect.toolingCost, 0)} tooling`
+    ));
+    row('Shop settings', results.settingsVersion ? `version ${results.settingsVersion}` : 'built-in defaults');
+    // Catalog rates are not part of the settings version, so print the ones this quote was priced with
+    (inputs.operationRates || []).forEach(operation => row(
+      `${operation.name} rates`,
+      `${money(operation.setupCost, 0)}/run, ${operation.secondsPerPart} s @ ${money(operation.laborRate)}/hr, ${money(operation.materialPerPart)} material`
+    ));
+    (inputs.surfaceRates || []).filter(spec => spec.toolingRate > 0 || spec.cycleRate > 0 || spec.scrapRate > 0).forEach(spec => row(
+      `${spec.name} rates`,
+      `+${+(spec.toolingRate * 100).toFixed(2)}% tooling, +${+(spec.cycleRate * 100).toFixed(2)}% cycle, +${+(spec.scrapRate * 100).toFixed(2)}% scrap`
+    ));
+
+    heading('Production');
+    row('Press', `${results.selectedMachine.name} @ ${money(results.selectedMachine.hourlyRate, 0)}/hr`);
+    row('Clamp tonnage', `${results.requiredTonnage.toFixed(0)}T required / ${results.selectedMachine.clampForce}T available`);
+    row('Runner', results.runner.type === 'hot'
+      ? `Hot runner, ${results.runner.drops} drop${results.runner.drops === 1 ? '' : 's'}`
+      : `Cold runner, ${results.runner.runnerWeight.toFixed(1)} g/shot (${results.reusedRegrind.toFixed(1)} g reground)`);
+    row('Shot weight', `${results.shotWeight.toFixed(1)} g of ${results.selectedMachine.shotSize} g`);
+    row('Cycle time', `${results.cycleTime.toFixed(1)} s`);
+    row('Parts per hour', results.partsPerHour.toFixed(0));
+
+    heading('Tooling Build-up');
+    row('Mold base', money(results.moldBaseCost, 0));
+    row(`Cavities (${inputs.cavities} x ${results.selectedSteel.name})`, money(results.cavityCost, 0));
+    if (results.familyCavityCost > 0) {
+      row(`Family cavities (${results.layout.cavities.length - inputs.cavities} for other parts)`, money(results.familyCavityCost, 0));
+    }
+    if (results.sideActionToolingCost > 0) {
+      row(`Side actions (${partData.sideActions} slides / ${partData.lifters} lifters)`, money(results.sideActionToolingCost, 0));
+    }
+    if (results.runner.toolingCost > 0) {
+      row(results.runner.drops > 1 ? `Hot runner manifold (${results.runner.drops} drops)` : 'Hot sprue', money(results.runner.toolingCost, 0));
+    }
+    if (results.surfaceToolingCost > 0) {
+      row('Texture / finish / tolerance tooling', money(results.surfaceToolingCost, 0));
+    }
+    row('Total tooling', money(results.toolingCost, 0));
+  }
+
+  // Terms
+  heading('Terms & Conditions');
+  doc.setFontSize(8.5);
+  [`Prices valid for ${validityDays} days from the quote date.`, ...QUOTE_TERMS].forEach((term, index) => {
+    const lines = doc.splitTextToSize(`${index + 1}. ${term}`, right - PAGE.margin);
+    ensureSpace(lines.length * 4.2);
+    doc.text(lines, PAGE.margin, y);
+    y += lines.length * 4.2 + 1;
+  });
+
+  return doc;
+};
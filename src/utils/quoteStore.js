@@ -0,0 +1,146 @@
+// Saved quotes: every save is a new revision of a customer/part number, kept in IndexedDB
+// so the analysed mesh (typed arrays) survives alongside the inputs and computed results
+
+const DB_NAME = 'imq-quotes';
+const DB_VERSION = 1;
+const STORE = 'revisions';
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('quoteKey', 'quoteKey', { unique: false });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const run = async (mode, operation) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = operation(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+export const quoteKeyFor = (customer, partNumber) => `${customer.trim().toLowerCase()}|${partNumber.trim().toLowerCase()}`;
+
+// Store a new revision numbered after the latest one for the same customer and part number
+export const saveRevision = async ({ customer, partNumber, note, analysis, inputs, results }) => {
+  if (!customer.trim() || !partNumber.trim()) {
+    throw new Error('Customer and part number are required to save a quote');
+  }
+
+  const quoteKey = quoteKeyFor(customer, partNumber);
+  const existing = await run('readonly', store => store.index('quoteKey').getAll(quoteKey));
+  const revision = existing.reduce((max, r) => Math.max(max, r.revision), 0) + 1;
+
+  const record = {
+    quoteKey,
+    customer: customer.trim(),
+    partNumber: partNumber.trim(),
+    revision,
+    note: note.trim(),
+    savedAt: new Date().toISOString(),
+    partFile: analysis ? { name: analysis.fileName, format: analysis.format } : null,
+    analysis,
+    inputs,
+    results
+  };
+  const id = await run('readwrite', store => store.add(record));
+  return { ...record, id };
+};
+
+// Every revision without the heavy analysis payload, newest first
+export const listRevisions = async () => {
+  const records = await run('readonly', store => store.getAll());
+  return records
+    .map(({ analysis, ...summary }) => summary)
+    .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+};
+
+export const loadRevision = (id) => run('readonly', store => store.get(id));
+
+export const deleteRevision = (id) => run('readwrite', store => store.delete(id));
+
+// Inputs shown in a revision diff, with how to print each one
+export const INPUT_LABELS = [
+  ['partData.volume', 'Part Volume (cm³)'],
+  ['partData.length', 'Length (mm)'],
+  ['partData.width', 'Width (mm)'],
+  ['partData.height', 'Height (mm)'],
+  ['partData.wallThickness', 'Wall Thickness (mm)'],
+  ['partData.projectedArea', 'Projected Area (cm²)'],
+  ['partData.sideActions', 'Side Actions'],
+  ['partData.lifters', 'Lifters'],
+  ['resinName', 'Resin'],
+  ['selectedColor', 'Color'],
+  ['surfaceFinish', 'Surface Finish'],
+  ['texture', 'Texture'],
+  ['tolerance', 'Tolerance Class'],
+  ['cavities', 'Cavities'],
+  ['runnerSystem', 'Runner System'],
+  ['allowRegrind', 'Regrind Runners'],
+  ['steelGrade', 'Mold Steel'],
+  ['complexity', 'Complexity'],
+  ['orderQuantity', 'Order Quantity'],
+  ['runSize', 'Run Size'],
+  ['quantityBreaks', 'Quantity Breaks'],
+  ['operationNames', 'Secondary Operations'],
+  ['settingsVersion', 'Shop Settings Version']
+];
+
+// Cost lines compared between revisions; money is per part unless noted
+export const COST_LINES = [
+  ['rawMaterialCost', 'Part Resin', 4],
+  ['runnerCost', 'Runner Scrap', 4],
+  ['colorCost', 'Color Premium', 4],
+  ['machineCostPerPart', 'Machine Time', 4],
+  ['laborCostPerPart', 'Operator Labor', 4],
+  ['totalCostPerPart', 'Piece Price', 4],
+  ['overheadCostPerPart', 'Factory Overhead', 4],
+  ['toolingCostPerPart', 'Tooling Amortization', 4],
+  ['setupCostPerPart', 'Setup', 4],
+  ['secondaryCostPerPart', 'Secondary Operations', 4],
+  ['surfaceCostPerPart', 'Finish, Texture & Tolerance (included)', 4],
+  ['packagingCostPerPart', 'Packaging', 4],
+  ['shippingCostPerPart', 'Freight', 4],
+  ['sgaCostPerPart', 'SG&A', 4],
+  ['profitPerPart', 'Profit', 4],
+  ['landedCostPerPart', 'Landed Cost', 4],
+  ['toolingCost', 'Total Tooling ($)', 0],
+  ['surfaceToolingCost', 'Finish, Texture & Tolerance Tooling ($)', 0],
+  ['cycleTime', 'Cycle Time (s)', 1]
+];
+
+const valueAt = (object, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+// Changed inputs and every cost line between two revisions
+export const diffRevisions = (before, after) => ({
+  inputs: INPUT_LABELS
+    .map(([path, label]) => ({ label, before: valueAt(before.inputs, path), after: valueAt(after.inputs, path) }))
+    .filter(row => row.before !== row.after),
+  costs: COST_LINES.map(([key, label, digits]) => {
+    const from = before.results ? before.results[key] : undefined;
+    const to = after.results ? after.results[key] : undefined;
+    return {
+      label,
+      digits,
+      before: from,
+      after: to,
+      change: Number.isFinite(from) && Number.isFinite(to) ? to - from : null
+    };
+  })
+});
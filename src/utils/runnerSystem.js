@@ -0,0 +1,68 @@
+// Runner system: cold runners are molded every shot and partly reground; hot runners keep the melt
+// in a heated manifold, trading runner scrap and sprue cooling for a tooling adder
+
+export const RUNNER_SYSTEMS = [
+  { id: 'cold', name: 'Cold runner (sprue and runners reground)' },
+  { id: 'hot', name: 'Hot runner (valve gated, no runner scrap)' }
+];
+
+// Dimensions in mm, costs in $
+export const RUNNER_RULES = {
+  diameterOverWall: 1.5,     // runner at least this much thicker than the wall it feeds, so it freezes last
+  minDiameter: 3,
+  maxDiameter: 10,
+  sprueLength: 60,           // through the clamp plate and A plate
+  coldSlugLength: 10,        // well at each runner junction
+  hotSprueCost: 3000,        // single heated nozzle
+  manifoldCost: 6000,
+  dropCost: 2200,
+  manifoldPlateThickness: 60,
+  hotRunnerBuildWeeks: 2
+};
+
+// Solid cylinder cooled from its surface until the centre reaches ejection temperature (s)
+const cylinderCoolingTime = (diameter, resin) => {
+  const temperatureRatio = 0.692 * (resin.meltTemp - resin.moldTemp) / (resin.ejectTemp - resin.moldTemp);
+  return Math.max(0, (diameter ** 2 / (23.1 * resin.thermalDiffusivity)) * Math.log(temperatureRatio));
+};
+
+/**
+ * Runner volume, cycle and tooling effects for a cavity layout. Cold runners add the sprue to the
+ * opening stroke and must freeze before ejection; hot runners add a manifold plate to the stack.
+ */
+export const planRunner = ({ type, layout, wallThickness, resin }) => {
+  const drops = layout.cavities.length;
+
+  if (type === 'hot') {
+    return {
+      type,
+      drops,
+      diameter: 0,
+      runnerVolume: 0,
+      runnerWeight: 0,
+      coolingTime: 0,
+      extraStroke: 0,
+      stackThickness: RUNNER_RULES.manifoldPlateThickness,
+      toolingCost: drops > 1 ? RUNNER_RULES.manifoldCost + drops * RUNNER_RULES.dropCost : RUNNER_RULES.hotSprueCost,
+      buildWeeks: RUNNER_RULES.hotRunnerBuildWeeks
+    };
+  }
+
+  const diameter = Math.min(RUNNER_RULES.maxDiameter, Math.max(RUNNER_RULES.minDiameter, wallThickness + RUNNER_RULES.diameterOverWall));
+  const junctions = Math.max(0, drops - 1);
+  const runnerLength = layout.runnerLength + RUNNER_RULES.sprueLength + junctions * RUNNER_RULES.coldSlugLength;
+  const runnerVolume = Math.PI * (diameter / 2) ** 2 * runnerLength / 1000;
+
+  return {
+    type,
+    drops,
+    diameter,
+    runnerVolume,
+    runnerWeight: runnerVolume * resin.density,
+    coolingTime: cylinderCoolingTime(diameter, resin),
+    extraStroke: RUNNER_RULES.sprueLength,
+    stackThickness: 0,
+    toolingCost: 0,
+    buildWeeks: 0
+  };
+};
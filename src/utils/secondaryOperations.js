@@ -0,0 +1,83 @@
+// Secondary operations catalog: post-molding work (printing, welding, inserts, assembly, packing), persisted in localStorage
+
+const STORAGE_KEY = 'imq.secondaryOperations.v1';
+
+// Setup in $ per production run, time in seconds per operation, labor in $/hr,
+// materials (inserts, ink, boxes) in $ per operation
+export const DEFAULT_OPERATIONS = [
+  { id: 1, name: 'Pad Printing (1 color)', setupCost: 150, secondsPerPart: 4, laborRate: 32, materialPerPart: 0.01 },
+  { id: 2, name: 'Ultrasonic Welding', setupCost: 250, secondsPerPart: 8, laborRate: 34, materialPerPart: 0 },
+  { id: 3, name: 'Heat-Staking Insert', setupCost: 200, secondsPerPart: 6, laborRate: 32, materialPerPart: 0.12 },
+  { id: 4, name: 'Manual Assembly', setupCost: 75, secondsPerPart: 20, laborRate: 28, materialPerPart: 0 },
+  { id: 5, name: 'Custom Packaging', setupCost: 50, secondsPerPart: 5, laborRate: 24, materialPerPart: 0.18 }
+];
+
+export const OPERATION_FIELDS = [
+  { key: 'name', label: 'Name', type: 'text' },
+  { key: 'setupCost', label: 'Setup per Run ($)', type: 'number' },
+  { key: 'secondsPerPart', label: 'Time per Operation (s)', type: 'number' },
+  { key: 'laborRate', label: 'Labor Rate ($/hr)', type: 'number' },
+  { key: 'materialPerPart', label: 'Material per Operation ($)', type: 'number' }
+];
+
+export const validateOperation = (operation) => {
+  if (!operation.name || !String(operation.name).trim()) {
+    throw new Error('Operation name is required');
+  }
+  ['setupCost', 'secondsPerPart', 'laborRate', 'materialPerPart'].forEach(key => {
+    if (!(operation[key] >= 0)) {
+      throw new Error(`${operation.name}: ${key} cannot be negative`);
+    }
+  });
+  if (operation.secondsPerPart === 0 && operation.materialPerPart === 0 && operation.setupCost === 0) {
+    throw new Error(`${operation.name}: set a setup cost, a time or a material cost`);
+  }
+  return true;
+};
+
+export const normalizeOperation = (raw, id) => {
+  const operation = { id };
+  OPERATION_FIELDS.forEach(({ key, type }) => {
+    if (type === 'number') operation[key] = parseFloat(raw[key]) || 0;
+    else operation[key] = String(raw[key] ?? '').trim();
+  });
+  validateOperation(operation);
+  return operation;
+};
+
+export const loadOperations = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(stored)) return stored;
+  } catch (error) {
+    console.error('Could not read secondary operations catalog:', error);
+  }
+  return DEFAULT_OPERATIONS;
+};
+
+export const saveOperations = (operations) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(operations));
+};
+
+export const nextOperationId = (operations) => operations.reduce((max, o) => Math.max(max, o.id), 0) + 1;
+
+/**
+ * Cost per part of each selected operation. `count` is how many times it is done to one part
+ * (two inserts, three print locations); setup is paid once per production run.
+ */
+export const costSecondaryOperations = (catalog, selected, { orderQuantity, productionRuns }) => selected.map(({ id, count }) => {
+  const operation = catalog.find(o => o.id === id);
+  const setupCostPerPart = orderQuantity > 0 ? (productionRuns * operation.setupCost) / orderQuantity : 0;
+  const laborCostPerPart = count * operation.secondsPerPart / 3600 * operation.laborRate;
+  const materialCostPerPart = count * operation.materialPerPart;
+
+  return {
+    id,
+    name: operation.name,
+    count,
+    setupCostPerPart,
+    laborCostPerPart,
+    materialCostPerPart,
+    costPerPart: setupCostPerPart + laborCostPerPart + materialCostPerPart
+  };
+});
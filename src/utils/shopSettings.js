@@ -0,0 +1,113 @@
+// Shop settings: the rates, rules and commercial terms every quote is priced with, persisted in
+// localStorage as numbered versions so a saved quote can say which settings produced it
+import { DEFAULT_SHOP_SETTINGS, PRICING_MODES, validateShopSettings } from './quoteEngine';
+
+const STORAGE_KEY = 'imq.settings.v1';
+const HISTORY_LIMIT = 50;
+
+// `percent`: stored as a fraction (0.05), edited as a percentage (5)
+export const SETTINGS_GROUPS = [
+  {
+    title: 'Pricing',
+    fields: [
+      { key: 'overheadRate', label: 'Factory Overhead (% of piece cost)', percent: true },
+      { key: 'sgaRate', label: 'SG&A (% of full cost)', percent: true },
+      { key: 'pricingMode', label: 'Profit Applied As', options: PRICING_MODES },
+      { key: 'profitRate', label: 'Margin / Markup (%)', percent: true },
+      { key: 'packagingPerPart', label: 'Packaging ($/part)' },
+      { key: 'shippingPerPart', label: 'Freight ($/part)' }
+    ]
+  },
+  {
+    title: 'Labor & Production',
+    fields: [
+      { key: 'laborRate', label: 'Operator Labor Rate ($/hr)' },
+      { key: 'operatorRatio', label: 'Operators per Running Press' },
+      { key: 'scrapRate', label: 'Scrap Rate (%)', percent: true },
+      { key: 'setupCost', label: 'Setup per Production Run ($)' },
+      { key: 'productionHoursPerWeek', label: 'Production Hours per Week' }
+    ]
+  },
+  {
+    title: 'Cycle Time',
+    fields: [
+      { key: 'minCycleTime', label: 'Minimum Cycle (s)' },
+      { key: 'injectionRate', label: 'Injection Rate (cm³/s)' },
+      { key: 'packTimePerMM', label: 'Pack Time (s per mm wall)' },
+      { key: 'dryCycleTime', label: 'Dry Cycle (s)' },
+      { key: 'moldOpenSpeed', label: 'Mold Open Speed (mm/s)' },
+      { key: 'moldOpenClearance', label: 'Opening Clearance (mm)' },
+      { key: 'ejectionTime', label: 'Ejection (s)' },
+      { key: 'sideActionCycleTime', label: 'Per Side Action (s)' }
+    ]
+  },
+  {
+    title: 'Tooling',
+    fields: [
+      { key: 'moldBaseFixed', label: 'Mold Base Fixed ($)' },
+      { key: 'moldBaseCostPerCm2', label: 'Mold Base ($/cm² plate)' },
+      { key: 'cavityBaseCost', label: 'Cavity Base ($)' },
+      { key: 'cavityCostPerCm2', label: 'Cavity ($/cm² projected)' },
+      { key: 'cavityCostPerMMDepth', label: 'Cavity ($/mm depth)' },
+      { key: 'additionalCavityFactor', label: 'Each Extra Cavity (× first)' },
+      { key: 'sideActionCost', label: 'Side Action ($)' },
+      { key: 'lifterCost', label: 'Lifter ($)' },
+      { key: 'buildWeeksPerAction', label: 'Build Weeks per Action' },
+      { key: 'samplingWeeks', label: 'Sampling Weeks' }
+    ]
+  },
+  {
+    title: 'Mold & Clamp',
+    fields: [
+      { key: 'moldStackBase', label: 'Mold Stack Base (mm)' },
+      { key: 'moldStackPerMMDepth', label: 'Stack per mm Part Depth (mm)' },
+      { key: 'clampSafetyFactor', label: 'Clamp Safety Factor (×)' }
+    ]
+  }
+];
+
+// Newest first; an empty history means the built-in defaults
+export const loadSettingsHistory = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(stored)) return stored;
+  } catch (error) {
+    console.error('Could not read shop settings:', error);
+  }
+  return [];
+};
+
+export const loadShopSettings = () => loadSettingsHistory()[0] || DEFAULT_SHOP_SETTINGS;
+
+// Saves the values as the next version and returns it
+export const saveShopSettings = (values) => {
+  validateShopSettings(values);
+  const history = loadSettingsHistory();
+  const record = {
+    version: history.reduce((max, settings) => Math.max(max, settings.version), 0) + 1,
+    savedAt: new Date().toISOString(),
+    values
+  };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify([record, ...history].slice(0, HISTORY_LIMIT)));
+  return record;
+};
+
+// Form text → settings values, percentages back to fractions
+export const normalizeShopSettings = (draft) => {
+  const values = { ...DEFAULT_SHOP_SETTINGS.values };
+  SETTINGS_GROUPS.flatMap(group => group.fields).forEach(({ key, percent, options }) => {
+    if (options) values[key] = draft[key];
+    else values[key] = (parseFloat(draft[key]) || 0) / (percent ? 100 : 1);
+  });
+  validateShopSettings(values);
+  return values;
+};
+
+// Settings values → form text, fractions shown as percentages
+export const shopSettingsDraft = (values) => Object.fromEntries(SETTINGS_GROUPS
+  .flatMap(group => group.fields)
+  .map(({ key, percent, options }) => [key, options ? values[key] : String(+(values[key] * (percent ? 100 : 1)).toFixed(6))]));
+
+export const settingsLabel = (settings) => (settings.version === 0
+  ? 'built-in defaults'
+  : `v${settings.version} · ${new Date(settings.savedAt).toLocaleString()}`);
@@ -0,0 +1,91 @@
+// Surface finish, texture and tolerance specs with their cost effects, persisted in localStorage
+
+const STORAGE_KEY = 'imq.surfaceSpecs.v1';
+
+// `input`: the quote input that holds the selected id of each kind
+export const SURFACE_SPEC_KINDS = [
+  { id: 'finish', name: 'Surface Finish (SPI)', input: 'surfaceFinish', fallback: 'none' },
+  { id: 'texture', name: 'Texture (MT / VDI)', input: 'texture', fallback: 'none' },
+  { id: 'tolerance', name: 'Tolerance Class', input: 'tolerance', fallback: 'standard' }
+];
+
+// toolingRate: extra polishing, texturing or fitting work as a fraction of the part's cavity cost
+// cycleRate: added to the molding cycle as a fraction of it (slower fill, longer pack and cooling)
+// scrapRate: added to the shop scrap rate (cosmetic rejects, parts out of tolerance)
+export const DEFAULT_SURFACE_SPECS = {
+  finish: [
+    { id: 'none', name: 'Not specified (shop standard)', toolingRate: 0, cycleRate: 0, scrapRate: 0 },
+    { id: 'spi-a1', name: 'SPI A-1 (#3 diamond buff)', toolingRate: 0.35, cycleRate: 0.05, scrapRate: 0.03 },
+    { id: 'spi-a2', name: 'SPI A-2 (#6 diamond buff)', toolingRate: 0.25, cycleRate: 0.04, scrapRate: 0.02 },
+    { id: 'spi-a3', name: 'SPI A-3 (#15 diamond buff)', toolingRate: 0.18, cycleRate: 0.03, scrapRate: 0.015 },
+    { id: 'spi-b1', name: 'SPI B-1 (600 grit paper)', toolingRate: 0.10, cycleRate: 0.02, scrapRate: 0.01 },
+    { id: 'spi-b2', name: 'SPI B-2 (400 grit paper)', toolingRate: 0.07, cycleRate: 0.01, scrapRate: 0.005 },
+    { id: 'spi-b3', name: 'SPI B-3 (320 grit paper)', toolingRate: 0.05, cycleRate: 0.01, scrapRate: 0.005 },
+    { id: 'spi-c1', name: 'SPI C-1 (600 grit stone)', toolingRate: 0.04, cycleRate: 0, scrapRate: 0 },
+    { id: 'spi-c2', name: 'SPI C-2 (400 grit stone)', toolingRate: 0.03, cycleRate: 0, scrapRate: 0 },
+    { id: 'spi-c3', name: 'SPI C-3 (320 grit stone)', toolingRate: 0.02, cycleRate: 0, scrapRate: 0 },
+    { id: 'spi-d1', name: 'SPI D-1 (dry blast glass bead)', toolingRate: 0.03, cycleRate: 0, scrapRate: 0 },
+    { id: 'spi-d2', name: 'SPI D-2 (dry blast #240 oxide)', toolingRate: 0.025, cycleRate: 0, scrapRate: 0 },
+    { id: 'spi-d3', name: 'SPI D-3 (dry blast #24 oxide)', toolingRate: 0.02, cycleRate: 0, scrapRate: 0 }
+  ],
+  texture: [
+    { id: 'none', name: 'None', toolingRate: 0, cycleRate: 0, scrapRate: 0 },
+    { id: 'mt-11000', name: 'MT-11000 (light)', toolingRate: 0.15, cycleRate: 0, scrapRate: 0.005 },
+    { id: 'mt-11010', name: 'MT-11010 (medium)', toolingRate: 0.18, cycleRate: 0, scrapRate: 0.005 },
+    { id: 'mt-11020', name: 'MT-11020 (heavy)', toolingRate: 0.22, cycleRate: 0.02, scrapRate: 0.01 },
+    { id: 'vdi-18', name: 'VDI 18 (EDM, Ra 0.8 µm)', toolingRate: 0.08, cycleRate: 0, scrapRate: 0.005 },
+    { id: 'vdi-24', name: 'VDI 24 (EDM, Ra 1.6 µm)', toolingRate: 0.10, cycleRate: 0, scrapRate: 0.005 },
+    { id: 'vdi-30', name: 'VDI 30 (EDM, Ra 3.2 µm)', toolingRate: 0.12, cycleRate: 0, scrapRate: 0.005 },
+    { id: 'vdi-36', name: 'VDI 36 (EDM, Ra 6.3 µm)', toolingRate: 0.14, cycleRate: 0.01, scrapRate: 0.01 }
+  ],
+  tolerance: [
+    { id: 'standard', name: 'Standard (±0.1 mm)', toolingRate: 0, cycleRate: 0, scrapRate: 0 },
+    { id: 'fine', name: 'Fine (±0.05 mm)', toolingRate: 0.15, cycleRate: 0.08, scrapRate: 0.02 },
+    { id: 'precision', name: 'Precision (±0.025 mm)', toolingRate: 0.35, cycleRate: 0.15, scrapRate: 0.05 }
+  ]
+};
+
+// Edited as percentages, stored as fractions like the shop scrap rate
+export const SURFACE_SPEC_FIELDS = [
+  { key: 'toolingRate', label: 'Tooling (% of cavity cost)' },
+  { key: 'cycleRate', label: 'Cycle Time (+%)' },
+  { key: 'scrapRate', label: 'Scrap (+% points)' }
+];
+
+export const validateSurfaceSpec = (spec) => {
+  SURFACE_SPEC_FIELDS.forEach(({ key }) => {
+    if (!(spec[key] >= 0) || !Number.isFinite(spec[key])) {
+      throw new Error(`${spec.name}: ${key} cannot be negative`);
+    }
+  });
+  if (spec.scrapRate >= 1) {
+    throw new Error(`${spec.name}: scrap must be below 100%`);
+  }
+  return true;
+};
+
+// The selected spec of each kind, the fallback when none is given; unknown ids are rejected by validateQuoteInputs first
+export const selectSurfaceSpecs = (catalog, selection) => SURFACE_SPEC_KINDS.map(kind => ({
+  kind: kind.id,
+  ...catalog[kind.id].find(spec => spec.id === (selection[kind.input] ?? kind.fallback))
+}));
+
+// Stored effects override the defaults by id, so specs added in a later release still show up
+export const loadSurfaceSpecs = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (stored && typeof stored === 'object') {
+      return Object.fromEntries(SURFACE_SPEC_KINDS.map(({ id }) => [id, DEFAULT_SURFACE_SPECS[id].map(spec => {
+        const saved = (stored[id] || []).find(s => s.id === spec.id);
+        return saved ? { ...spec, toolingRate: saved.toolingRate, cycleRate: saved.cycleRate, scrapRate: saved.scrapRate } : spec;
+      })]));
+    }
+  } catch (error) {
+    console.error('Could not read surface specs:', error);
+  }
+  return DEFAULT_SURFACE_SPECS;
+};
+
+export const saveSurfaceSpecs = (catalog) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(catalog));
+};
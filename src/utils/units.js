@@ -0,0 +1,175 @@
+// Units: what an imported CAD file was drawn in, and how the app displays dimensions, volumes and weights.
+// Everything is computed internally in mm, cm², cm³ and g.
+
+// `guess`: considered when inferring STL units from size (CAD tools rarely export in cm)
+export const LENGTH_UNITS = [
+  { id: 'mm', name: 'Millimetres', toMM: 1, guess: true },
+  { id: 'cm', name: 'Centimetres', toMM: 10, guess: false },
+  { id: 'm', name: 'Metres', toMM: 1000, guess: true },
+  { id: 'in', name: 'Inches', toMM: 25.4, guess: true }
+];
+
+export const unitToMM = (id) => LENGTH_UNITS.find(unit => unit.id === id).toMM;
+
+// Largest part dimension (mm) a molded part is expected to have; outside this a unit guess is implausible
+export const UNIT_RULES = {
+  plausibleMin: 3,
+  plausibleMax: 1200,
+  typicalMin: 10,
+  typicalMax: 600
+};
+
+// Whether a part this many units across is a moldable size in the given unit
+export const isPlausibleSize = (maxDimension, unit) => {
+  const size = maxDimension * unitToMM(unit);
+  return size >= UNIT_RULES.plausibleMin && size <= UNIT_RULES.plausibleMax;
+};
+
+export const DISPLAY_SYSTEMS = {
+  metric: {
+    name: 'Metric',
+    length: { unit: 'mm', factor: 1, extraDigits: 0 },
+    area: { unit: 'cm²', factor: 1, extraDigits: 0 },
+    volume: { unit: 'cm³', factor: 1, extraDigits: 0 },
+    weight: { unit: 'g', factor: 1, extraDigits: 0 }
+  },
+  imperial: {
+    name: 'Imperial',
+    length: { unit: 'in', factor: 1 / 25.4, extraDigits: 2 },
+    area: { unit: 'in²', factor: 1 / 6.4516, extraDigits: 1 },
+    volume: { unit: 'in³', factor: 1 / 16.387064, extraDigits: 1 },
+    weight: { unit: 'oz', factor: 1 / 28.349523125, extraDigits: 1 }
+  }
+};
+
+const DISPLAY_STORAGE_KEY = 'imq.displayUnits.v1';
+
+export const loadDisplaySystem = () => {
+  const stored = localStorage.getItem(DISPLAY_STORAGE_KEY);
+  return DISPLAY_SYSTEMS[stored] ? stored : 'metric';
+};
+
+export const saveDisplaySystem = (system) => {
+  localStorage.setItem(DISPLAY_STORAGE_KEY, system);
+};
+
+/**
+ * Converts between internal values (mm, cm², cm³, g) and the chosen display system. Digits are
+ * given for metric; imperial adds a few so small values keep the same resolution.
+ */
+export const createUnitFormatter = (system) => {
+  const units = DISPLAY_SYSTEMS[system];
+  const digitsFor = (quantity, digits) => digits + units[quantity].extraDigits;
+
+  return {
+    system,
+    unit: (quantity) => units[quantity].unit,
+    toDisplay: (quantity, value, digits) => Number((value * units[quantity].factor).toFixed(digitsFor(quantity, digits))),
+    fromDisplay: (quantity, value) => value / units[quantity].factor,
+    step: (quantity, digits) => (10 ** -digitsFor(quantity, digits)).toFixed(digitsFor(quantity, digits)),
+    value: (quantity, value, digits) => (value * units[quantity].factor).toFixed(digitsFor(quantity, digits)),
+    format: (quantity, value, digits) => `${(value * units[quantity].factor).toFixed(digitsFor(quantity, digits))} ${units[quantity].unit}`
+  };
+};
+
+// STEP: the length unit entity, e.g. SI_UNIT(.MILLI.,.METRE.) or CONVERSION_BASED_UNIT('INCH',#12)
+const STEP_SI_PREFIXES = { '.MILLI.': 'mm', '.CENTI.': 'cm', '$': 'm' };
+
+const stepLengthUnit = (entity) => {
+  const converted = entity.match(/CONVERSION_BASED_UNIT\s*\(\s*'([^']+)'/i);
+  if (converted) {
+    if (/^INCH/i.test(converted[1])) return 'in';
+    if (/^(MILLIMET|MM)/i.test(converted[1])) return 'mm';
+    return null;
+  }
+  const si = entity.match(/SI_UNIT\s*\(\s*(\.\w+\.|\$)\s*,\s*\.METRE\.\s*\)/i);
+  return si ? STEP_SI_PREFIXES[si[1].toUpperCase()] || null : null;
+};
+
+// The length unit the geometry context assigns. An inch unit is defined through an SI base unit
+// (LENGTH_MEASURE_WITH_UNIT(25.4, #mm)), so without a context a conversion-based unit wins over SI
+const detectSTEPUnits = (text) => {
+  const entities = new Map([...text.matchAll(/#(\d+)\s*=([^;]*);/g)].map(([, id, body]) => [id, body]));
+  const context = text.match(/GLOBAL_UNIT_ASSIGNED_CONTEXT\s*\(\s*\(([^)]*)\)/i);
+  const assigned = context
+    ? context[1].split(',').map(ref => entities.get(ref.trim().replace('#', ''))).find(entity => entity && /LENGTH_UNIT/i.test(entity))
+    : null;
+  if (assigned) return stepLengthUnit(assigned);
+
+  const lengthUnits = [...entities.values()].filter(entity => /LENGTH_UNIT/i.test(entity));
+  const declared = lengthUnits.find(entity => /CONVERSION_BASED_UNIT/i.test(entity) && stepLengthUnit(entity))
+    || lengthUnits.find(entity => stepLengthUnit(entity));
+  return declared ? stepLengthUnit(declared) : null;
+};
+
+// IGES: global section parameter 14 is the units flag
+const IGES_UNIT_FLAGS = { 1: 'in', 2: 'mm', 6: 'm', 10: 'cm' };
+
+const detectIGESUnits = (text) => {
+  const global = text.split(/\r?\n/)
+    .filter(line => line.length >= 73 && line[72] === 'G')
+    .map(line => line.slice(0, 72))
+    .join('');
+  if (!global) return null;
+
+  // Parameters are delimited by ',' unless redefined; strings are Hollerith (nH...)
+  const parameters = [];
+  let index = 0;
+  let current = '';
+  while (index < global.length && parameters.length < 14) {
+    const hollerith = global.slice(index).match(/^\s*(\d+)H/);
+    if (hollerith && current.trim() === '') {
+      const start = index + hollerith[0].length;
+      current = global.slice(start, start + parseInt(hollerith[1]));
+      index = start + current.length;
+      continue;
+    }
+    const char = global[index++];
+    if (char === ',' || char === ';') {
+      parameters.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  return IGES_UNIT_FLAGS[parseInt(parameters[13])] || null;
+};
+
+/**
+ * Length unit declared in a STEP or IGES file, or null when the file does not say.
+ * OpenCascade already converts B-rep geometry to mm, so this is what the file was drawn in.
+ */
+export const detectBRepUnits = (arrayBuffer, fileType) => {
+  const text = new TextDecoder().decode(arrayBuffer);
+  return fileType === 'iges' ? detectIGESUnits(text) : detectSTEPUnits(text);
+};
+
+// STL, OBJ and PLY have no units; use a hint in an STL header if an exporter left one, otherwise the part size
+const STL_HEADER_HINTS = [
+  [/\b(inch|inches)\b|units\s*=\s*in\b/i, 'in'],
+  [/\b(millimet(er|re)s?|mm)\b|units\s*=\s*mm\b/i, 'mm'],
+  [/\b(centimet(er|re)s?|cm)\b/i, 'cm']
+];
+
+/**
+ * Guesses the unit of a unitless mesh from the largest bounding-box dimension (file units) and, for
+ * STL, its 80-byte header. Ambiguous, and worth asking the user, unless exactly one unit gives a
+ * typical (or failing that, plausible) part size.
+ */
+export const detectMeshUnits = (maxDimension, header = '') => {
+  const hint = STL_HEADER_HINTS.find(([pattern]) => pattern.test(header));
+  if (hint) return { unit: hint[1], method: 'header', ambiguous: false, candidates: [hint[1]] };
+
+  const plausible = LENGTH_UNITS.filter(({ id, guess }) => guess && isPlausibleSize(maxDimension, id));
+  const typical = plausible.filter(({ toMM }) =>
+    maxDimension * toMM >= UNIT_RULES.typicalMin && maxDimension * toMM <= UNIT_RULES.typicalMax
+  );
+  const candidates = (typical.length > 0 ? typical : plausible).map(unit => unit.id);
+
+  return {
+    unit: candidates.length === 0 || candidates.includes('mm') ? 'mm' : candidates[0],
+    method: 'size',
+    ambiguous: candidates.length !== 1,
+    candidates: candidates.length > 0 ? candidates : ['mm', 'in']
+  };
+};
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { detectBRepUnits, detectMeshUnits, isPlausibleSize } from './units';
+
+const buffer = (text) => new TextEncoder().encode(text).buffer;
+
+// Unit section of an AP214 part saved in inches: the inch is defined through a millimetre SI unit
+// that comes first in the file
+const INCH_STEP = `ISO-10303-21;
+HEADER;
+FILE_DESCRIPTION(('SolidWorks Part'),'2;1');
+FILE_NAME('BRACKET.STEP','2024-03-11T09:14:22',(''),(''),'SwSTEP 2.0','SolidWorks 2023','');
+FILE_SCHEMA(('AUTOMOTIVE_DESIGN { 1 0 10303 214 1 1 1 1 }'));
+ENDSEC;
+DATA;
+#98=(LENGTH_UNIT()NAMED_UNIT(*)SI_UNIT(.MILLI.,.METRE.));
+#99=LENGTH_MEASURE_WITH_UNIT(LENGTH_MEASURE(25.4),#98);
+#100=DIMENSIONAL_EXPONENTS(1.,0.,0.,0.,0.,0.,0.);
+#101=(CONVERSION_BASED_UNIT('INCH',#99)LENGTH_UNIT()NAMED_UNIT(#100));
+#102=(NAMED_UNIT(*)PLANE_ANGLE_UNIT()SI_UNIT($,.RADIAN.));
+#103=(NAMED_UNIT(*)SI_UNIT($,.STERADIAN.)SOLID_ANGLE_UNIT());
+#104=UNCERTAINTY_MEASURE_WITH_UNIT(LENGTH_MEASURE(3.93700787401575E-5),#101,'distance_accuracy_value','Confusion accuracy');
+#105=(GEOMETRIC_REPRESENTATION_CONTEXT(3)GLOBAL_UNCERTAINTY_ASSIGNED_CONTEXT((#104))GLOBAL_UNIT_ASSIGNED_CONTEXT((#101,#102,#103))REPRESENTATION_CONTEXT('Context #1','3D Context with UNIT and UNCERTAINTY'));
+ENDSEC;
+END-ISO-10303-21;
+`;
+
+describe('detectBRepUnits', () => {
+  it('reads the inch unit a STEP context assigns, not the SI unit it is defined from', () => {
+    expect(detectBRepUnits(buffer(INCH_STEP), 'step')).toBe('in');
+  });
+
+  it('reads a millimetre STEP context', () => {
+    const text = INCH_STEP.replace('GLOBAL_UNIT_ASSIGNED_CONTEXT((#101,', 'GLOBAL_UNIT_ASSIGNED_CONTEXT((#98,');
+    expect(detectBRepUnits(buffer(text), 'step')).toBe('mm');
+  });
+
+  it('prefers a conversion-based unit when there is no unit context', () => {
+    const text = INCH_STEP.replace(/^#105=.*$/m, '');
+    expect(detectBRepUnits(buffer(text), 'step')).toBe('in');
+  });
+
+  it('returns null when a STEP file declares no length unit', () => {
+    expect(detectBRepUnits(buffer('ISO-10303-21;\nDATA;\n#1=CARTESIAN_POINT(\'\',(0.,0.,0.));\nENDSEC;\n'), 'step')).toBeNull();
+  });
+});
+
+describe('detectMeshUnits', () => {
+  it('trusts an STL header hint', () => {
+    expect(detectMeshUnits(2, 'solid part units=in')).toMatchObject({ unit: 'in', method: 'header', ambiguous: false });
+  });
+
+  it('guesses from the size and asks when several units fit', () => {
+    expect(detectMeshUnits(20)).toMatchObject({ unit: 'mm', ambiguous: true, candidates: ['mm', 'in'] });
+    expect(detectMeshUnits(0.08)).toMatchObject({ unit: 'm', ambiguous: false });
+  });
+
+  it('flags sizes that are not moldable in a unit', () => {
+    expect(isPlausibleSize(20, 'm')).toBe(false);
+    expect(isPlausibleSize(20, 'mm')).toBe(true);
+  });
+});
@@ -0,0 +1,125 @@
+import * as THREE from 'three';
+import { MeshBVH } from 'three-mesh-bvh';
+
+// Wall thickness limits (mm and ratios of the nominal wall)
+export const THICKNESS_RULES = {
+  binWidth: 0.25,
+  maxBins: 40,
+  maxSampledFaces: 200000,
+  minimumWall: 0.5,
+  thinRatio: 0.6,
+  thickRatio: 1.5,
+  outlierPercentile: 0.01,
+  progressInterval: 2000     // sampled faces between progress reports
+};
+
+// Per-triangle inward ray casting on a triangle-soup geometry (mm); onProgress gets the fraction done
+export const analyzeWallThickness = (geometry, orientation = 1, onProgress = () => {}) => {
+  const position = geometry.getAttribute('position');
+  const faceCount = position.count / 3;
+  const bvh = new MeshBVH(geometry, { indirect: true });
+
+  geometry.computeBoundingBox();
+  const maxDistance = geometry.boundingBox.getSize(new THREE.Vector3()).length();
+  const offset = maxDistance * 1e-6;
+  const stride = Math.max(1, Math.ceil(faceCount / THICKNESS_RULES.maxSampledFaces));
+
+  const perFace = new Float32Array(faceCount).fill(NaN);
+  const samples = [];
+  const triangle = new THREE.Triangle();
+  const normal = new THREE.Vector3();
+  const centroid = new THREE.Vector3();
+  const ray = new THREE.Ray();
+
+  for (let face = 0, sampled = 1; face < faceCount; face += stride, sampled++) {
+    if (sampled % THICKNESS_RULES.progressInterval === 0) onProgress(face / faceCount);
+    const i = face * 3;
+    triangle.a.fromBufferAttribute(position, i);
+    triangle.b.fromBufferAttribute(position, i + 1);
+    triangle.c.fromBufferAttribute(position, i + 2);
+
+    const area = triangle.getArea();
+    if (area === 0) continue;
+
+    triangle.getNormal(normal).multiplyScalar(orientation);
+    triangle.getMidpoint(centroid);
+
+    // Step just inside the surface and shoot away from the outward normal
+    ray.origin.copy(centroid).addScaledVector(normal, -offset);
+    ray.direction.copy(normal).negate();
+
+    const hit = bvh.raycastFirst(ray, THREE.DoubleSide, 0, maxDistance);
+    if (!hit) continue;
+
+    const thickness = hit.distance + offset;
+    perFace[face] = thickness;
+    samples.push({ thickness, area });
+  }
+
+  if (samples.length === 0) {
+    return null;
+  }
+
+  return summarizeThickness(samples, perFace);
+};
+
+// Area-weighted statistics, histogram and thin/thick flags
+const summarizeThickness = (samples, perFace) => {
+  samples.sort((a, b) => a.thickness - b.thickness);
+  const totalArea = samples.reduce((sum, s) => sum + s.area, 0);
+
+  // Ignore slivers at sharp edges and corners when reporting min/max
+  const percentile = (p) => {
+    let accumulated = 0;
+    for (const s of samples) {
+      accumulated += s.area;
+      if (accumulated >= totalArea * p) return s.thickness;
+    }
+    return samples[samples.length - 1].thickness;
+  };
+
+  const min = percentile(THICKNESS_RULES.outlierPercentile);
+  const max = percentile(1 - THICKNESS_RULES.outlierPercentile);
+
+  const binWidth = Math.max(THICKNESS_RULES.binWidth, max / THICKNESS_RULES.maxBins);
+  const binCount = Math.max(1, Math.ceil(max / binWidth));
+  const bins = Array.from({ length: binCount }, (_, index) => ({
+    from: index * binWidth,
+    to: (index + 1) * binWidth,
+    area: 0,
+    weightedSum: 0
+  }));
+
+  samples.forEach(s => {
+    const index = Math.min(binCount - 1, Math.floor(s.thickness / binWidth));
+    bins[index].area += s.area;
+    bins[index].weightedSum += s.thickness * s.area;
+  });
+
+  // Nominal wall is the area-weighted mode, refined to the mean inside the modal bin
+  const modalBin = bins.reduce((best, bin) => (bin.area > best.area ? bin : best), bins[0]);
+  const nominal = modalBin.weightedSum / modalBin.area;
+
+  const thinLimit = Math.max(THICKNESS_RULES.minimumWall, nominal * THICKNESS_RULES.thinRatio);
+  const thickLimit = nominal * THICKNESS_RULES.thickRatio;
+
+  const thinArea = samples.filter(s => s.thickness < thinLimit).reduce((sum, s) => sum + s.area, 0);
+  const thickArea = samples.filter(s => s.thickness > thickLimit).reduce((sum, s) => sum + s.area, 0);
+
+  return {
+    min,
+    max,
+    nominal,
+    thinLimit,
+    thickLimit,
+    thinAreaPercent: (thinArea / totalArea) * 100,
+    thickAreaPercent: (thickArea / totalArea) * 100,
+    histogram: bins.map(bin => ({
+      from: bin.from,
+      to: bin.to,
+      percent: (bin.area / totalArea) * 100
+    })),
+    sampledFaces: samples.length,
+    perFace
+  };
+};
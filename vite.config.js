@@ -3,10 +3,7 @@ import react from '@vitejs/plugin-react'
 
 export default defineConfig({
   plugins: [react()],
-  optimizeDeps: {
-    exclude: ['occt-import-js']
-  },
   worker: {
     format: 'es'
   }
-})
\ No newline at end of file
+})